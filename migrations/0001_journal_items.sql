@@ -0,0 +1,3 @@
+-- Equipment handover state per journal entry
+-- JSON object {"pults": true, "tablet": false, ...}: true - handed over, false - not handed over
+ALTER TABLE journal ADD COLUMN items TEXT;
@@ -0,0 +1,37 @@
+-- Full-text index of event descriptions (one row per event of journal.events)
+-- Kept in sync with journal by triggers, so every write path is covered
+CREATE VIRTUAL TABLE IF NOT EXISTS journal_events_fts USING fts5(
+  description,
+  entry_id UNINDEXED,
+  telegram_id UNINDEXED,
+  surname UNINDEXED,
+  date UNINDEXED,
+  time UNINDEXED,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_insert AFTER INSERT ON journal
+BEGIN
+  INSERT INTO journal_events_fts (description, entry_id, telegram_id, surname, date, time)
+  SELECT json_extract(value, '$.description'), NEW.id, NEW.telegram_id, NEW.surname, NEW.date, json_extract(value, '$.time')
+  FROM json_each(COALESCE(NEW.events, '[]'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_update AFTER UPDATE ON journal
+BEGIN
+  DELETE FROM journal_events_fts WHERE entry_id = OLD.id;
+  INSERT INTO journal_events_fts (description, entry_id, telegram_id, surname, date, time)
+  SELECT json_extract(value, '$.description'), NEW.id, NEW.telegram_id, NEW.surname, NEW.date, json_extract(value, '$.time')
+  FROM json_each(COALESCE(NEW.events, '[]'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_delete AFTER DELETE ON journal
+BEGIN
+  DELETE FROM journal_events_fts WHERE entry_id = OLD.id;
+END;
+
+-- Index events that already exist
+DELETE FROM journal_events_fts;
+INSERT INTO journal_events_fts (description, entry_id, telegram_id, surname, date, time)
+SELECT json_extract(e.value, '$.description'), j.id, j.telegram_id, j.surname, j.date, json_extract(e.value, '$.time')
+FROM journal j, json_each(COALESCE(j.events, '[]')) e;
@@ -0,0 +1,80 @@
+-- Rounds and events move from JSON columns of journal to their own tables
+
+CREATE TABLE IF NOT EXISTS journal_rounds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry_id INTEGER NOT NULL REFERENCES journal(id) ON DELETE CASCADE,
+  start TEXT NOT NULL, -- HH:MM
+  "end" TEXT           -- HH:MM, NULL for old entries with start time only
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_rounds_entry ON journal_rounds(entry_id);
+
+CREATE TABLE IF NOT EXISTS journal_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry_id INTEGER NOT NULL REFERENCES journal(id) ON DELETE CASCADE,
+  time TEXT NOT NULL, -- HH:MM
+  description TEXT NOT NULL,
+  category TEXT       -- 'visitors' | 'delivery' | 'incident' | 'other', NULL if not classified
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_events_entry ON journal_events(entry_id);
+
+-- One-off backfill from JSON ("09:10-09:20" or "09:10")
+INSERT INTO journal_rounds (entry_id, start, "end")
+SELECT j.id,
+  CASE WHEN instr(r.value, '-') > 0 THEN substr(r.value, 1, instr(r.value, '-') - 1) ELSE r.value END,
+  CASE WHEN instr(r.value, '-') > 0 THEN substr(r.value, instr(r.value, '-') + 1) ELSE NULL END
+FROM journal j, json_each(COALESCE(j.rounds, '[]')) r;
+
+INSERT INTO journal_events (entry_id, time, description)
+SELECT j.id, json_extract(e.value, '$.time'), json_extract(e.value, '$.description')
+FROM journal j, json_each(COALESCE(j.events, '[]')) e
+WHERE json_extract(e.value, '$.description') IS NOT NULL;
+
+-- Search index follows journal_events now, FTS rowid = journal_events.id
+DROP TRIGGER IF EXISTS journal_events_fts_insert;
+DROP TRIGGER IF EXISTS journal_events_fts_update;
+DROP TRIGGER IF EXISTS journal_events_fts_delete;
+
+DELETE FROM journal_events_fts;
+INSERT INTO journal_events_fts (rowid, description, entry_id, telegram_id, surname, date, time)
+SELECT e.id, e.description, j.id, j.telegram_id, j.surname, j.date, e.time
+FROM journal_events e JOIN journal j ON j.id = e.entry_id;
+
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_insert AFTER INSERT ON journal_events
+BEGIN
+  INSERT INTO journal_events_fts (rowid, description, entry_id, telegram_id, surname, date, time)
+  SELECT NEW.id, NEW.description, j.id, j.telegram_id, j.surname, j.date, NEW.time
+  FROM journal j WHERE j.id = NEW.entry_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_update AFTER UPDATE ON journal_events
+BEGIN
+  DELETE FROM journal_events_fts WHERE rowid = OLD.id;
+  INSERT INTO journal_events_fts (rowid, description, entry_id, telegram_id, surname, date, time)
+  SELECT NEW.id, NEW.description, j.id, j.telegram_id, j.surname, j.date, NEW.time
+  FROM journal j WHERE j.id = NEW.entry_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_delete AFTER DELETE ON journal_events
+BEGIN
+  DELETE FROM journal_events_fts WHERE rowid = OLD.id;
+END;
+
+-- Entry moved to another date or renamed guard
+CREATE TRIGGER IF NOT EXISTS journal_events_fts_entry_update AFTER UPDATE OF telegram_id, surname, date ON journal
+BEGIN
+  UPDATE journal_events_fts
+  SET telegram_id = NEW.telegram_id, surname = NEW.surname, date = NEW.date
+  WHERE entry_id = NEW.id;
+END;
+
+-- Rounds and events of deleted entry (also when foreign keys are not enforced)
+CREATE TRIGGER IF NOT EXISTS journal_details_delete AFTER DELETE ON journal
+BEGIN
+  DELETE FROM journal_rounds WHERE entry_id = OLD.id;
+  DELETE FROM journal_events WHERE entry_id = OLD.id;
+END;
+
+ALTER TABLE journal DROP COLUMN rounds;
+ALTER TABLE journal DROP COLUMN events;
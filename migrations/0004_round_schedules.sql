@@ -0,0 +1,20 @@
+-- Required patrol schedule: a round every interval_minutes from start_time to end_time
+-- end_time earlier than start_time means the window runs past midnight (20:00 - 08:00)
+CREATE TABLE IF NOT EXISTS round_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  start_time TEXT NOT NULL,           -- HH:MM
+  end_time TEXT NOT NULL,             -- HH:MM
+  interval_minutes INTEGER NOT NULL,
+  tolerance_minutes INTEGER NOT NULL DEFAULT 15,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Missed-round alerts already sent by the cron check, one per schedule slot
+CREATE TABLE IF NOT EXISTS round_alerts (
+  schedule_id INTEGER NOT NULL REFERENCES round_schedules(id) ON DELETE CASCADE,
+  slot TEXT NOT NULL,                 -- YYYY-MM-DD HH:MM (local time)
+  sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (schedule_id, slot)
+);
@@ -0,0 +1,14 @@
+-- Reminders to fill in the journal (times in REMINDER_TIMES, see scheduled() in worker.js)
+-- Each guard can turn them off (/remind off) and set quiet hours (/remind quiet 23:00 07:00)
+ALTER TABLE users ADD COLUMN reminders_enabled INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE users ADD COLUMN quiet_start TEXT; -- HH:MM, NULL - no quiet hours
+ALTER TABLE users ADD COLUMN quiet_end TEXT;   -- HH:MM, earlier than quiet_start - past midnight
+
+-- Reminders already sent, one per guard, shift date and reminder time
+CREATE TABLE IF NOT EXISTS sent_reminders (
+  telegram_id INTEGER NOT NULL,
+  date DATE NOT NULL,
+  time TEXT NOT NULL, -- HH:MM from REMINDER_TIMES
+  sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (telegram_id, date, time)
+);
@@ -0,0 +1,5 @@
+-- Supervisor digests already sent by cron: "day:YYYY-MM-DD" or "week:YYYY-MM-DD" (Monday)
+CREATE TABLE IF NOT EXISTS sent_digests (
+  period TEXT PRIMARY KEY,
+  sent_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
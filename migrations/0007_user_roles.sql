@@ -0,0 +1,10 @@
+-- Bot user management: admins (/users, /approve, /block, /rename, /setlimit) and access status
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'guard';    -- guard | admin
+ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active'; -- active | pending (waits for /approve) | blocked
+
+-- Bot settings changed at runtime, e.g. user_limit (/setlimit)
+CREATE TABLE IF NOT EXISTS settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
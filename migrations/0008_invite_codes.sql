@@ -0,0 +1,9 @@
+-- One-time invite codes for registration (/invite), registration without a code waits for admin approval
+CREATE TABLE IF NOT EXISTS invite_codes (
+  code TEXT PRIMARY KEY,
+  created_by INTEGER NOT NULL,   -- admin Telegram ID
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_by INTEGER,               -- Telegram ID that sent /start <code>, reserved until registration
+  used_at DATETIME               -- registration completed
+);
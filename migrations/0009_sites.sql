@@ -0,0 +1,30 @@
+-- Guarded objects (posts). Users, journal entries, round schedules and invites belong to a site
+CREATE TABLE IF NOT EXISTS sites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  rate_limit INTEGER NOT NULL DEFAULT 10, -- Bot requests per guard per hour at this site
+  active INTEGER NOT NULL DEFAULT 1,      -- 0 - closed, kept for old entries
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Everything recorded before sites existed belongs to the first one
+INSERT OR IGNORE INTO sites (id, name) VALUES (1, 'Основной объект');
+
+-- Home post of the guard; role site_admin manages only this site (role: guard | site_admin | admin)
+ALTER TABLE users ADD COLUMN site_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE journal ADD COLUMN site_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE round_schedules ADD COLUMN site_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE invite_codes ADD COLUMN site_id INTEGER NOT NULL DEFAULT 1; -- Site of the invited guard
+-- sessions.site_id and web_users.site_id are created with their tables in 0012_sessions / 0013_web_users
+
+CREATE INDEX IF NOT EXISTS idx_journal_site_date ON journal(site_id, date DESC);
+
+-- Rate limit window per guard and site (limit is sites.rate_limit), old counters are dropped
+DROP TABLE IF EXISTS rate_limits;
+CREATE TABLE rate_limits (
+  telegram_id INTEGER NOT NULL,
+  site_id INTEGER NOT NULL,
+  request_count INTEGER DEFAULT 0,
+  window_start DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (telegram_id, site_id)
+);
@@ -0,0 +1,20 @@
+-- Shift handover: outgoing guard lists equipment and open issues (/handover), incoming guard accepts with a button
+CREATE TABLE IF NOT EXISTS handovers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL DEFAULT 1,
+  date DATE NOT NULL,                -- Shift date of the outgoing guard
+  from_telegram_id INTEGER NOT NULL,
+  from_surname TEXT NOT NULL,
+  to_telegram_id INTEGER NOT NULL,
+  to_surname TEXT NOT NULL,
+  items TEXT,                        -- Equipment state JSON { key: handed over }
+  issues TEXT,                       -- Open issues, NULL - none
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | accepted | declined | cancelled
+  created_at DATETIME NOT NULL,      -- Signed by the outgoing guard
+  accepted_at DATETIME,              -- Signed by the incoming guard
+  to_date DATE                       -- Shift date of the incoming guard at acceptance
+);
+
+CREATE INDEX IF NOT EXISTS idx_handovers_from ON handovers(from_telegram_id, date);
+CREATE INDEX IF NOT EXISTS idx_handovers_to ON handovers(to_telegram_id, to_date);
+CREATE INDEX IF NOT EXISTS idx_handovers_site_date ON handovers(site_id, date);
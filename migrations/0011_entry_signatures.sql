@@ -0,0 +1,15 @@
+-- Tamper-evident signatures of finalised journal entries (shift over or handed over).
+-- Each link is an HMAC over the entry content hash, author, time and the previous link
+CREATE TABLE IF NOT EXISTS entry_signatures (
+  seq INTEGER PRIMARY KEY,        -- Chain position, previous link is seq - 1
+  entry_id INTEGER NOT NULL,
+  telegram_id INTEGER NOT NULL,   -- Author of the entry
+  action TEXT NOT NULL,           -- final | edit | delete | restore
+  actor TEXT,                     -- Who changed the finalised entry (tg:<id> or web login), NULL for final
+  content_hash TEXT NOT NULL,     -- SHA-256 of canonical entry content, '' after delete
+  signed_at DATETIME NOT NULL,
+  prev_signature TEXT NOT NULL,   -- Signature of seq - 1, '' for the first link
+  signature TEXT NOT NULL         -- HMAC-SHA256 hex
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_signatures_entry ON entry_signatures(entry_id, seq);
@@ -0,0 +1,11 @@
+-- Conversation state (selected date and pending action per user)
+CREATE TABLE IF NOT EXISTS sessions (
+  telegram_id INTEGER PRIMARY KEY,
+  selected_date DATE, -- Date picked in /start, used for the next entries
+  pending_action TEXT, -- 'edit_rounds' | 'edit_events' | 'voice_command' | 'replace_day'
+  pending_data TEXT, -- JSON payload for the pending action {"date": "2025-12-09"}
+  pending_expires_at DATETIME,
+  site_id INTEGER, -- Post picked for this shift (/post), NULL - home post
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (telegram_id) REFERENCES users(telegram_id)
+);
@@ -0,0 +1,8 @@
+-- Web journal accounts (passwords stored as PBKDF2 hashes)
+CREATE TABLE IF NOT EXISTS web_users (
+  username TEXT PRIMARY KEY,
+  password_hash TEXT NOT NULL, -- pbkdf2$<iterations>$<salt base64>$<hash base64>
+  role TEXT NOT NULL DEFAULT 'viewer', -- 'viewer' | 'admin'
+  site_id INTEGER, -- NULL - all sites
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,7 @@
+-- Processed Telegram updates (de-duplication of webhook retries)
+CREATE TABLE IF NOT EXISTS processed_updates (
+  update_id INTEGER PRIMARY KEY,
+  processed_at DATETIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_updates_processed_at ON processed_updates(processed_at);
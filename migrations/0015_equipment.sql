@@ -0,0 +1,18 @@
+-- Equipment catalogue (items handed over between shifts)
+CREATE TABLE IF NOT EXISTS equipment (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT NOT NULL UNIQUE, -- Key in journal.items JSON
+  name TEXT NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  active INTEGER NOT NULL DEFAULT 1, -- 0 - retired, kept for old entries
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Default equipment set
+INSERT OR IGNORE INTO equipment (key, name, quantity, sort_order) VALUES
+  ('pults', 'Пульты', 2, 1),
+  ('tablet', 'Планшет', 1, 2),
+  ('keys', 'Ключи', 2, 3),
+  ('phone', 'Телефон', 1, 4),
+  ('ts_button', 'Кнопка TS', 1, 5);
@@ -0,0 +1,17 @@
+-- Journal revisions (audit trail, snapshot is the entry state before the change)
+CREATE TABLE IF NOT EXISTS journal_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry_id INTEGER NOT NULL, -- journal.id, entry may be deleted
+  telegram_id INTEGER NOT NULL, -- Entry owner
+  surname TEXT NOT NULL,
+  date TEXT NOT NULL, -- Entry date before the change
+  snapshot TEXT, -- JSON {date, rounds, events, items}, NULL for 'create'
+  action TEXT NOT NULL, -- 'create' | 'update' | 'delete' | 'restore'
+  actor TEXT NOT NULL, -- 'tg:<telegram_id>' or web username
+  source TEXT NOT NULL, -- 'voice' | 'text' | 'web' | 'command'
+  transcription TEXT, -- Original message text
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_revisions_entry ON journal_revisions(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_revisions_owner_date ON journal_revisions(telegram_id, date);
@@ -0,0 +1,46 @@
+-- Normalised surname for the journal surname filter (LIKE on it): lower case, ё as е.
+-- Written by the Worker with every surname; SQLite lower() folds only ASCII, so the backfill
+-- replaces Cyrillic capitals in several statements (deeply nested replace() overflows the parser)
+ALTER TABLE journal ADD COLUMN surname_lower TEXT;
+
+UPDATE journal SET surname_lower = lower(surname);
+
+UPDATE journal SET surname_lower = replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(surname_lower,
+  'А', 'а'),
+  'Б', 'б'),
+  'В', 'в'),
+  'Г', 'г'),
+  'Д', 'д'),
+  'Е', 'е'),
+  'Ж', 'ж'),
+  'З', 'з'),
+  'И', 'и'),
+  'Й', 'й'),
+  'К', 'к'),
+  'Л', 'л');
+
+UPDATE journal SET surname_lower = replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(surname_lower,
+  'М', 'м'),
+  'Н', 'н'),
+  'О', 'о'),
+  'П', 'п'),
+  'Р', 'р'),
+  'С', 'с'),
+  'Т', 'т'),
+  'У', 'у'),
+  'Ф', 'ф'),
+  'Х', 'х'),
+  'Ц', 'ц'),
+  'Ч', 'ч');
+
+UPDATE journal SET surname_lower = replace(replace(replace(replace(replace(replace(replace(replace(replace(replace(surname_lower,
+  'Ш', 'ш'),
+  'Щ', 'щ'),
+  'Ъ', 'ъ'),
+  'Ы', 'ы'),
+  'Ь', 'ь'),
+  'Э', 'э'),
+  'Ю', 'ю'),
+  'Я', 'я'),
+  'Ё', 'е'),
+  'ё', 'е');
@@ -0,0 +1,63 @@
+-- One journal entry per guard and shift date: the Worker inserts new days with ON CONFLICT,
+-- so two close messages no longer create the same day twice.
+-- Existing duplicates are merged into the first entry of the day (lowest id): rounds, events
+-- and revisions of the later ones move there (repeated rounds and events are dropped),
+-- items of the first entry are kept. A signed first entry shows up as changed in the signature check
+
+DELETE FROM journal_rounds
+WHERE id IN (
+  SELECT r.id
+  FROM journal_rounds r
+  JOIN journal j ON j.id = r.entry_id
+  JOIN journal first ON first.telegram_id = j.telegram_id AND first.date = j.date AND first.id < j.id
+  JOIN journal_rounds kept ON kept.entry_id = first.id AND kept.start = r.start
+  WHERE first.id = (SELECT MIN(k.id) FROM journal k WHERE k.telegram_id = j.telegram_id AND k.date = j.date)
+);
+
+DELETE FROM journal_events
+WHERE id IN (
+  SELECT e.id
+  FROM journal_events e
+  JOIN journal j ON j.id = e.entry_id
+  JOIN journal first ON first.telegram_id = j.telegram_id AND first.date = j.date AND first.id < j.id
+  JOIN journal_events kept ON kept.entry_id = first.id AND kept.time = e.time AND kept.description = e.description
+  WHERE first.id = (SELECT MIN(k.id) FROM journal k WHERE k.telegram_id = j.telegram_id AND k.date = j.date)
+);
+
+UPDATE journal_rounds
+SET entry_id = (
+  SELECT MIN(k.id) FROM journal k JOIN journal j ON k.telegram_id = j.telegram_id AND k.date = j.date
+  WHERE j.id = journal_rounds.entry_id
+)
+WHERE entry_id IN (
+  SELECT j.id FROM journal j
+  WHERE EXISTS (SELECT 1 FROM journal k WHERE k.telegram_id = j.telegram_id AND k.date = j.date AND k.id < j.id)
+);
+
+UPDATE journal_events
+SET entry_id = (
+  SELECT MIN(k.id) FROM journal k JOIN journal j ON k.telegram_id = j.telegram_id AND k.date = j.date
+  WHERE j.id = journal_events.entry_id
+)
+WHERE entry_id IN (
+  SELECT j.id FROM journal j
+  WHERE EXISTS (SELECT 1 FROM journal k WHERE k.telegram_id = j.telegram_id AND k.date = j.date AND k.id < j.id)
+);
+
+UPDATE journal_revisions
+SET entry_id = (
+  SELECT MIN(k.id) FROM journal k JOIN journal j ON k.telegram_id = j.telegram_id AND k.date = j.date
+  WHERE j.id = journal_revisions.entry_id
+)
+WHERE entry_id IN (
+  SELECT j.id FROM journal j
+  WHERE EXISTS (SELECT 1 FROM journal k WHERE k.telegram_id = j.telegram_id AND k.date = j.date AND k.id < j.id)
+);
+
+DELETE FROM journal
+WHERE EXISTS (
+  SELECT 1 FROM journal k
+  WHERE k.telegram_id = journal.telegram_id AND k.date = journal.date AND k.id < journal.id
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_user_date ON journal(telegram_id, date);
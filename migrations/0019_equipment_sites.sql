@@ -0,0 +1,3 @@
+-- Equipment of one site (post) or shared by all sites. Items that existed before stay shared,
+-- so entries of every site keep showing them; site admins add and change items of their site
+ALTER TABLE equipment ADD COLUMN site_id INTEGER; -- NULL - all sites
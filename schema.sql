@@ -1,4 +1,6 @@
 -- Database schema for Equipment Journal
+-- Baseline (migration version 0). Do not change it: every schema change goes
+-- into a new numbered file in migrations/ and the MIGRATIONS list in worker.js
 
 -- Users table (Telegram ID -> Surname mapping)
 CREATE TABLE IF NOT EXISTS users (
@@ -14,7 +16,9 @@ CREATE TABLE IF NOT EXISTS journal (
   surname TEXT NOT NULL,
   date DATE NOT NULL,
   rounds TEXT, -- JSON array of times ["08:10", "12:15"]
+  -- items TEXT column is added by migrations/0001_journal_items.sql
   events TEXT, -- JSON array of events [{"time": "07:05", "description": "..."}]
+  -- rounds / events move to journal_rounds / journal_events in migrations/0003_journal_rounds_events.sql
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (telegram_id) REFERENCES users(telegram_id)
 );
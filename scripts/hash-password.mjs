@@ -0,0 +1,25 @@
+/**
+ * Generate PBKDF2 password hash for web_users
+ *
+ * Usage: npm run hash-password -- <username> <password> [viewer|admin] [site_id]
+ * Without site_id the account sees all sites
+ */
+import { pbkdf2Sync, randomBytes } from 'node:crypto';
+
+// Cloudflare Workers support up to 100000 PBKDF2 iterations
+const ITERATIONS = 100000;
+
+const [username, password, role = 'viewer', siteId] = process.argv.slice(2);
+
+if (!username || !password || !['viewer', 'admin'].includes(role) || (siteId !== undefined && !/^\d+$/.test(siteId))) {
+  console.error('Usage: npm run hash-password -- <username> <password> [viewer|admin] [site_id]');
+  process.exit(1);
+}
+
+const salt = randomBytes(16);
+const hash = pbkdf2Sync(password, salt, ITERATIONS, 32, 'sha256');
+const passwordHash = `pbkdf2$${ITERATIONS}$${salt.toString('base64')}$${hash.toString('base64')}`;
+
+const values = `'${username.replace(/'/g, "''")}', '${passwordHash}', '${role}', ${siteId ?? 'NULL'}`;
+
+console.log(`INSERT INTO web_users (username, password_hash, role, site_id) VALUES (${values}) ON CONFLICT(username) DO UPDATE SET password_hash = excluded.password_hash, role = excluded.role, site_id = excluded.site_id;`);
@@ -0,0 +1,49 @@
+/**
+ * Show migration status or apply pending migrations through the deployed worker
+ *
+ * Usage: npm run migrate -- <worker-url> [status|apply] [--baseline N]
+ * Authenticates with JOURNAL_MIGRATION_SECRET (worker secret MIGRATION_SECRET) if it is set,
+ * otherwise with admin web login JOURNAL_ADMIN_USER / JOURNAL_ADMIN_PASSWORD
+ */
+const [workerUrl, command = 'status', ...rest] = process.argv.slice(2);
+const baselineIndex = rest.indexOf('--baseline');
+const baseline = baselineIndex >= 0 ? Number(rest[baselineIndex + 1]) : undefined;
+
+const {
+  JOURNAL_ADMIN_USER: username,
+  JOURNAL_ADMIN_PASSWORD: password,
+  JOURNAL_MIGRATION_SECRET: migrationSecret
+} = process.env;
+
+if (!workerUrl || !['status', 'apply'].includes(command) || (!migrationSecret && (!username || !password))
+  || (baseline !== undefined && !Number.isInteger(baseline))) {
+  console.error('Usage: JOURNAL_MIGRATION_SECRET=... (or JOURNAL_ADMIN_USER=... JOURNAL_ADMIN_PASSWORD=...) npm run migrate -- <worker-url> [status|apply] [--baseline N]');
+  process.exit(1);
+}
+
+const headers = { 'Content-Type': 'application/json' };
+if (migrationSecret) {
+  headers['X-Migration-Secret'] = migrationSecret;
+} else {
+  const login = await fetch(`${workerUrl}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  if (!login.ok) {
+    console.error(`Login failed: HTTP ${login.status}`);
+    process.exit(1);
+  }
+  const { token } = await login.json();
+  headers['Authorization'] = `Bearer ${token}`;
+}
+
+const response = await fetch(`${workerUrl}/api/admin/migrations`, {
+  method: command === 'apply' ? 'POST' : 'GET',
+  headers,
+  body: command === 'apply' ? JSON.stringify(baseline !== undefined ? { baseline } : {}) : undefined
+});
+const result = await response.json();
+
+console.log(JSON.stringify(result, null, 2));
+process.exit(response.ok ? 0 : 1);
@@ -2,6 +2,28 @@
  * Cloudflare Worker for Equipment Journal Telegram Bot
  */
 
+// SQL files are bundled as text (see [[rules]] in wrangler.toml)
+import schemaSql from './schema.sql';
+import migration0001 from './migrations/0001_journal_items.sql';
+import migration0002 from './migrations/0002_journal_events_fts.sql';
+import migration0003 from './migrations/0003_journal_rounds_events.sql';
+import migration0004 from './migrations/0004_round_schedules.sql';
+import migration0005 from './migrations/0005_journal_reminders.sql';
+import migration0006 from './migrations/0006_digests.sql';
+import migration0007 from './migrations/0007_user_roles.sql';
+import migration0008 from './migrations/0008_invite_codes.sql';
+import migration0009 from './migrations/0009_sites.sql';
+import migration0010 from './migrations/0010_handovers.sql';
+import migration0011 from './migrations/0011_entry_signatures.sql';
+import migration0012 from './migrations/0012_sessions.sql';
+import migration0013 from './migrations/0013_web_users.sql';
+import migration0014 from './migrations/0014_processed_updates.sql';
+import migration0015 from './migrations/0015_equipment.sql';
+import migration0016 from './migrations/0016_journal_revisions.sql';
+import migration0017 from './migrations/0017_journal_surname_lower.sql';
+import migration0018 from './migrations/0018_journal_user_date_unique.sql';
+import migration0019 from './migrations/0019_equipment_sites.sql';
+
 // JSON Schema for Gemini structured output
 const JOURNAL_SCHEMA = {
   type: "object",
@@ -24,10 +46,19 @@ const JOURNAL_SCHEMA = {
           description: {
             type: "string",
             description: "Event description"
+          },
+          category: {
+            type: "string",
+            enum: ["visitors", "delivery", "incident", "other"],
+            description: "visitors - workers, gardeners, guests arrive or leave; delivery - goods or post brought; incident - alarm, damage, any problem; other - everything else"
           }
         },
         required: ["time", "description"]
       }
+    },
+    replaceDay: {
+      type: "boolean",
+      description: "true ONLY if the user explicitly asks to replace/overwrite the whole day record, otherwise false"
     }
   },
   required: ["rounds", "events"]
@@ -71,24 +102,292 @@ const VOICE_COMMAND_SCHEMA = {
   required: ["commandType"]
 };
 
+// Event categories (journal_events.category)
+const EVENT_CATEGORIES = ['visitors', 'delivery', 'incident', 'other'];
+
+// Web access tokens
+const AUTH_TOKEN_TTL_HOURS = 12;
+const ROLE_LEVELS = { viewer: 1, admin: 2 };
+const TELEGRAM_AUTH_MAX_AGE_HOURS = 24; // Login Widget / initData payload freshness
+
+// Entry signature chain: entries signed per cron run, attempts when another request appends a link
+const SIGNATURE_BATCH_SIZE = 100;
+const SIGNATURE_CHAIN_RETRIES = 3;
+const SIGNATURE_CHECKPOINT_KEY = 'signature_chain_verified'; // settings row {seq, signature} of the last verified link
+
+// Processed webhook updates are kept this long to skip Telegram retries
+const PROCESSED_UPDATE_TTL_HOURS = 48;
+
+// Active bot users when neither /setlimit nor env.MAX_USERS is set
+const DEFAULT_USER_LIMIT = 4;
+
+// User roles in the bot (users.role) and their names in messages
+const USER_ROLES = { guard: 'охранник', site_admin: 'администратор объекта', admin: 'администратор' };
+
+// Site of data recorded before multi-site support and of registrations without invite
+const DEFAULT_SITE_ID = 1;
+const DEFAULT_SITE_RATE_LIMIT = 10; // Bot requests per guard per hour, sites.rate_limit
+
+// Open issues text of shift handover (/handover)
+const HANDOVER_ISSUES_MAX_LENGTH = 1000;
+
+// Registration invite codes (/invite)
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_TTL_HOURS = 72;
+
+// Number of recent entries shown by /list (voice commands refer to them by index)
+const LIST_ENTRIES_LIMIT = 5;
+
+// Revisions shown by /history
+const HISTORY_LIMIT = 10;
+
+// Event search results shown by /find
+const FIND_LIMIT = 20;
+
+// Paper journal report
+const REPORT_MAX_DAYS = 92;        // Longest period of one report
+const REPORT_ROWS_PER_PAGE = 12;   // Entries per printed A4 sheet
+
+// Journal reading (web table pages, CSV / XLSX export)
+const JOURNAL_BATCH_SIZE = 500;     // Rows read from D1 per query while filtering / streaming
+const JOURNAL_PAGE_SIZE = 50;       // Default page of GET /api/journal
+const JOURNAL_PAGE_MAX = 200;
+
+// Conversation session lifetime
+const SESSION_TTL_HOURS = 12;          // Selected date is kept for one shift
+const PENDING_ACTION_TTL_MINUTES = 15; // Pending edit waits this long for the next message
+
+// Round schedule compliance (cron check, see [triggers] in wrangler.toml)
+const ROUND_ALERT_LOOKBACK_MINUTES = 120; // Older missed slots are not alerted (first run, cron outages)
+
+// Journal reminders (times in env.REMINDER_TIMES, same cron as round checks)
+const REMINDER_LOOKBACK_MINUTES = 60; // Reminder held back by quiet hours is still sent this long after its time
+const SENT_REMINDERS_TTL_DAYS = 7;
+
+// Supervisor digests (env.DIGEST_CHAT_IDS at env.DIGEST_TIME, same cron)
+const DIGEST_LOOKBACK_MINUTES = 60; // Digest is still sent this long after DIGEST_TIME (cron delays)
+const DIGEST_EVENTS_LIMIT = 15;     // Incidents listed in one digest
+const TELEGRAM_MESSAGE_LIMIT = 4096; // Site digests are joined into messages up to this length
+
+// Database migrations in apply order, tracked in schema_migrations
+// schema.sql is the baseline (version 0), every later change is a new numbered file in migrations/
+const MIGRATIONS = [
+  { version: 0, name: 'schema', sql: schemaSql },
+  { version: 1, name: '0001_journal_items', sql: migration0001 },
+  { version: 2, name: '0002_journal_events_fts', sql: migration0002 },
+  { version: 3, name: '0003_journal_rounds_events', sql: migration0003 },
+  { version: 4, name: '0004_round_schedules', sql: migration0004 },
+  { version: 5, name: '0005_journal_reminders', sql: migration0005 },
+  { version: 6, name: '0006_digests', sql: migration0006 },
+  { version: 7, name: '0007_user_roles', sql: migration0007 },
+  { version: 8, name: '0008_invite_codes', sql: migration0008 },
+  { version: 9, name: '0009_sites', sql: migration0009 },
+  { version: 10, name: '0010_handovers', sql: migration0010 },
+  { version: 11, name: '0011_entry_signatures', sql: migration0011 },
+  { version: 12, name: '0012_sessions', sql: migration0012 },
+  { version: 13, name: '0013_web_users', sql: migration0013 },
+  { version: 14, name: '0014_processed_updates', sql: migration0014 },
+  { version: 15, name: '0015_equipment', sql: migration0015 },
+  { version: 16, name: '0016_journal_revisions', sql: migration0016 },
+  { version: 17, name: '0017_journal_surname_lower', sql: migration0017 },
+  { version: 18, name: '0018_journal_user_date_unique', sql: migration0018 },
+  { version: 19, name: '0019_equipment_sites', sql: migration0019 }
+];
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // CORS headers for GitHub Pages
     const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Origin': env.ALLOWED_ORIGIN || '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     };
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
-    // API endpoint - get journal entries
-    if (url.pathname === '/api/journal' && request.method === 'GET') {
-      return handleGetJournal(env, corsHeaders);
+    // API endpoint - web login, issues session token
+    if (url.pathname === '/api/login' && request.method === 'POST') {
+      return handleLogin(request, env, corsHeaders);
+    }
+
+    // API endpoint - web login via Telegram Login Widget or Mini App initData
+    if (url.pathname === '/api/login/telegram' && request.method === 'POST') {
+      return handleTelegramLogin(request, env, corsHeaders);
+    }
+
+    // API endpoint - database migrations with X-Migration-Secret header instead of a session token,
+    // works on a database without web_users or with an old schema that breaks logins
+    if (url.pathname === '/api/admin/migrations' && isValidMigrationSecret(request, env)) {
+      if (request.method === 'GET') {
+        return handleGetMigrations(env, corsHeaders);
+      }
+      if (request.method === 'POST') {
+        return handleApplyMigrations(request, env, corsHeaders);
+      }
+    }
+
+    // All other API endpoints require a valid session token
+    if (url.pathname.startsWith('/api/')) {
+      let auth;
+      try {
+        auth = await authenticateRequest(request, env);
+      } catch (error) {
+        console.error('Authentication error:', error);
+        return jsonResponse({ error: error.message }, corsHeaders, 500);
+      }
+      if (!auth) {
+        return jsonResponse({ error: 'Unauthorized' }, corsHeaders, 401);
+      }
+
+      // Site-bound tokens see only their site, others pick one with ?site= or see all
+      const { siteId, error: siteError, status: siteErrorStatus } = getRequestSite(auth, url.searchParams);
+      if (siteError) {
+        return jsonResponse({ error: siteError }, corsHeaders, siteErrorStatus);
+      }
+
+      // API endpoint - get journal entries (filters, cursor pages)
+      if (url.pathname === '/api/journal' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetJournal(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - full-text search over event descriptions
+      if (url.pathname === '/api/search' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleSearchEvents(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - guards for web table filter
+      if (url.pathname === '/api/guards' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetGuards(env, corsHeaders, siteId);
+      }
+
+      // API endpoint - update journal entry (admin web table)
+      if (url.pathname === '/api/journal' && request.method === 'PUT') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleUpdateJournal(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - delete journal entry (admin web table)
+      if (url.pathname === '/api/journal' && request.method === 'DELETE') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleDeleteJournal(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - verify entry signatures and the signature chain
+      if (url.pathname === '/api/journal/verify' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleVerifyJournal(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - revision history of entry
+      if (url.pathname === '/api/journal/history' && request.method === 'GET') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleGetHistory(url, env, corsHeaders, auth);
+      }
+
+      // API endpoint - restore entry from revision
+      if (url.pathname === '/api/journal/restore' && request.method === 'POST') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleRestoreRevision(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - CSV / XLSX export with filters
+      if (url.pathname === '/api/journal/export' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleExportJournal(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - printable report (HTML or PDF) for date range
+      if (url.pathname === '/api/report' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetReport(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - database migration status
+      if (url.pathname === '/api/admin/migrations' && request.method === 'GET') {
+        if (!hasGlobalRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleGetMigrations(env, corsHeaders);
+      }
+
+      // API endpoint - apply pending database migrations
+      if (url.pathname === '/api/admin/migrations' && request.method === 'POST') {
+        if (!hasGlobalRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleApplyMigrations(request, env, corsHeaders);
+      }
+
+      // API endpoint - round schedules
+      if (url.pathname === '/api/schedules' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetSchedules(env, corsHeaders, siteId);
+      }
+
+      // API endpoint - add round schedule
+      if (url.pathname === '/api/schedules' && request.method === 'POST') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleCreateSchedule(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - update round schedule
+      if (url.pathname === '/api/schedules' && request.method === 'PUT') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleUpdateSchedule(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - missed rounds for date range (web table gaps)
+      if (url.pathname === '/api/rounds/compliance' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetRoundCompliance(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - shift handovers for date range
+      if (url.pathname === '/api/handovers' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetHandovers(url, env, corsHeaders, siteId);
+      }
+
+      // API endpoint - equipment catalogue
+      if (url.pathname === '/api/equipment' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetEquipment(env, corsHeaders, siteId);
+      }
+
+      // API endpoint - add equipment item
+      if (url.pathname === '/api/equipment' && request.method === 'POST') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleCreateEquipment(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - update equipment item (name, quantity, active)
+      if (url.pathname === '/api/equipment' && request.method === 'PUT') {
+        if (!hasRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleUpdateEquipment(request, env, corsHeaders, auth);
+      }
+
+      // API endpoint - sites (guarded objects) visible to the user
+      if (url.pathname === '/api/sites' && request.method === 'GET') {
+        if (!hasRole(auth, 'viewer')) return forbiddenResponse(corsHeaders);
+        return handleGetSites(env, corsHeaders, auth);
+      }
+
+      // API endpoint - add site
+      if (url.pathname === '/api/sites' && request.method === 'POST') {
+        if (!hasGlobalRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleCreateSite(request, env, corsHeaders);
+      }
+
+      // API endpoint - update site (name, rate_limit, active)
+      if (url.pathname === '/api/sites' && request.method === 'PUT') {
+        if (!hasGlobalRole(auth, 'admin')) return forbiddenResponse(corsHeaders);
+        return handleUpdateSite(request, env, corsHeaders);
+      }
+
+      return jsonResponse({ error: 'Not found' }, corsHeaders, 404);
     }
 
     // Webhook endpoint for Telegram
@@ -113,6 +412,14 @@ export default {
     // }
 
     return new Response('Not found', { status: 404 });
+  },
+
+  // Cron trigger - missed round alerts, reminders to fill in the journal, supervisor digests
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(checkMissedRounds(env));
+    ctx.waitUntil(sendJournalReminders(env));
+    ctx.waitUntil(sendScheduledDigests(env));
+    ctx.waitUntil(signFinalisedEntries(env));
   }
 };
 
@@ -120,8 +427,27 @@ export default {
  * Handle Telegram webhook
  */
 async function handleTelegramWebhook(request, env) {
+  // Only Telegram knows the secret set via setWebhook secret_token
+  if (!isValidWebhookSecret(request, env)) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  let update;
+  const effects = { committed: false };
   try {
-    const update = await request.json();
+    update = await request.json();
+
+    // Skip updates already processed (Telegram retries after errors and timeouts)
+    const isNew = await markUpdateProcessed(update.update_id, env);
+    if (!isNew) {
+      return new Response('OK', { status: 200 });
+    }
+    env = trackUpdateEffects(env, effects);
+
+    // Blocked users and registration requests waiting for /approve can't use the bot
+    if (!await checkUserAccess(update, env)) {
+      return new Response('OK', { status: 200 });
+    }
 
     // Handle callback queries (button clicks)
     if (update.callback_query) {
@@ -160,6 +486,58 @@ async function handleTelegramWebhook(request, env) {
     else if (update.message?.text?.startsWith('/edit')) {
       await handleEditCommand(update.message, env);
     }
+    // Handle /history command - entry revisions with restore buttons
+    else if (update.message?.text?.startsWith('/history')) {
+      await handleHistoryCommand(update.message, env);
+    }
+    // Handle /find command - full-text search over events
+    else if (update.message?.text?.startsWith('/find')) {
+      await handleFindCommand(update.message, env);
+    }
+    // Handle /report command - printable journal as document
+    else if (update.message?.text?.startsWith('/report')) {
+      await handleReportCommand(update.message, env);
+    }
+    // Handle /export command - CSV / XLSX export for admins
+    else if (update.message?.text?.startsWith('/export')) {
+      await handleExportCommand(update.message, env);
+    }
+    // Handle /schedule command - round schedules (admin edits)
+    else if (update.message?.text?.startsWith('/schedule')) {
+      await handleScheduleCommand(update.message, env);
+    }
+    // Handle /summary command - supervisor digest for admins
+    else if (update.message?.text?.startsWith('/summary')) {
+      await handleSummaryCommand(update.message, env);
+    }
+    // Handle /remind command - journal reminder settings
+    else if (update.message?.text?.startsWith('/remind')) {
+      await handleRemindCommand(update.message, env);
+    }
+    // Handle /equipment command - equipment catalogue (admin edits)
+    else if (update.message?.text?.startsWith('/equipment')) {
+      await handleEquipmentCommand(update.message, env);
+    }
+    // Handle /sites command - guarded objects (admin edits)
+    else if (update.message?.text?.startsWith('/sites')) {
+      await handleSitesCommand(update.message, env);
+    }
+    // Handle /post command - post for the current shift
+    else if (update.message?.text?.startsWith('/post')) {
+      await handlePostCommand(update.message, env);
+    }
+    // Handle /handover command - hand the shift over to the incoming guard
+    else if (update.message?.text?.startsWith('/handover')) {
+      await handleHandoverCommand(update.message, env);
+    }
+    // Handle /invite command - one-time registration code for admins
+    else if (update.message?.text?.startsWith('/invite')) {
+      await handleInviteCommand(update.message, env);
+    }
+    // Handle /users, /approve, /block, /rename, /setsite, /setlimit - user management for admins
+    else if (['/users', '/approve', '/block', '/rename', '/setsite', '/setlimit'].some(command => update.message?.text?.startsWith(command))) {
+      await handleUserManagementCommand(update.message, env);
+    }
     // Handle /help command - show instructions
     else if (update.message?.text?.startsWith('/help')) {
       await handleHelpCommand(update.message, env);
@@ -182,29 +560,142 @@ async function handleTelegramWebhook(request, env) {
     return new Response('OK', { status: 200 });
   } catch (error) {
     console.error('Webhook error:', error);
+    // Data already written or Gemini already called - a retry would save the report twice
+    if (effects.committed) {
+      return new Response('OK', { status: 200 });
+    }
+    // Failed before any effect - forget the update so the Telegram retry is processed again
+    if (update) {
+      await unmarkUpdateProcessed(update.update_id, env);
+    }
     return new Response('Error', { status: 500 });
   }
 }
 
 /**
- * Check rate limit - max 10 requests per hour per user
+ * Check X-Telegram-Bot-Api-Secret-Token header against TELEGRAM_WEBHOOK_SECRET
+ */
+function isValidWebhookSecret(request, env) {
+  if (!env.TELEGRAM_WEBHOOK_SECRET) {
+    console.error('TELEGRAM_WEBHOOK_SECRET is not configured');
+    return false;
+  }
+
+  const header = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  return timingSafeEqual(
+    new TextEncoder().encode(header),
+    new TextEncoder().encode(env.TELEGRAM_WEBHOOK_SECRET)
+  );
+}
+
+/**
+ * Check X-Migration-Secret header against MIGRATION_SECRET, false if the secret is not set
+ */
+function isValidMigrationSecret(request, env) {
+  const header = request.headers.get('X-Migration-Secret');
+  if (!env.MIGRATION_SECRET || !header) {
+    return false;
+  }
+
+  return timingSafeEqual(
+    new TextEncoder().encode(header),
+    new TextEncoder().encode(env.MIGRATION_SECRET)
+  );
+}
+
+/**
+ * Record update_id as processed, returns false if it was already seen
+ */
+async function markUpdateProcessed(updateId, env) {
+  if (!Number.isInteger(updateId)) {
+    return true;
+  }
+
+  const now = new Date();
+  const result = await env.DB.prepare(
+    'INSERT OR IGNORE INTO processed_updates (update_id, processed_at) VALUES (?, ?)'
+  ).bind(updateId, now.toISOString()).run();
+
+  if (result.meta.changes === 0) {
+    return false;
+  }
+
+  // Drop expired records
+  const cutoff = new Date(now.getTime() - PROCESSED_UPDATE_TTL_HOURS * 60 * 60 * 1000);
+  await env.DB.prepare(
+    'DELETE FROM processed_updates WHERE processed_at < ?'
+  ).bind(cutoff.toISOString()).run();
+
+  return true;
+}
+
+/**
+ * Env for one update: effects.committed is set before its first data write or Gemini call.
+ * Writes to rate limit counters, sessions and processed_updates don't count
+ */
+function trackUpdateEffects(env, effects) {
+  return {
+    ...env,
+    updateEffects: effects,
+    DB: {
+      prepare(sql) {
+        if (/^\s*(INSERT|UPDATE|DELETE|REPLACE)\b/i.test(sql) && !/\b(rate_limits|sessions|processed_updates)\b/.test(sql)) {
+          effects.committed = true;
+        }
+        return env.DB.prepare(sql);
+      },
+      batch: statements => env.DB.batch(statements)
+    }
+  };
+}
+
+/**
+ * Record a Gemini call for the update being processed (see trackUpdateEffects)
+ */
+function markUpdateCommitted(env) {
+  if (env.updateEffects) {
+    env.updateEffects.committed = true;
+  }
+}
+
+/**
+ * Remove update_id recorded by markUpdateProcessed after its processing failed
+ */
+async function unmarkUpdateProcessed(updateId, env) {
+  if (!Number.isInteger(updateId)) {
+    return;
+  }
+
+  try {
+    await env.DB.prepare(
+      'DELETE FROM processed_updates WHERE update_id = ?'
+    ).bind(updateId).run();
+  } catch (error) {
+    console.error('Error unmarking update:', error);
+  }
+}
+
+/**
+ * Check rate limit - max sites.rate_limit requests per hour per user at the current site
  */
 async function checkRateLimit(telegramId, chatId, env) {
-  const MAX_REQUESTS = 10;
   const WINDOW_MINUTES = 60;
+  const siteId = await getCurrentSiteId(telegramId, env);
+  const site = await getSite(siteId, env);
+  const MAX_REQUESTS = site?.rate_limit || DEFAULT_SITE_RATE_LIMIT;
 
   // Get current rate limit info
   const rateLimitInfo = await env.DB.prepare(
-    'SELECT request_count, window_start FROM rate_limits WHERE telegram_id = ?'
-  ).bind(telegramId).first();
+    'SELECT request_count, window_start FROM rate_limits WHERE telegram_id = ? AND site_id = ?'
+  ).bind(telegramId, siteId).first();
 
   const now = new Date();
 
   if (!rateLimitInfo) {
     // First request - create record
     await env.DB.prepare(
-      'INSERT INTO rate_limits (telegram_id, request_count, window_start) VALUES (?, 1, ?)'
-    ).bind(telegramId, now.toISOString()).run();
+      'INSERT INTO rate_limits (telegram_id, site_id, request_count, window_start) VALUES (?, ?, 1, ?)'
+    ).bind(telegramId, siteId, now.toISOString()).run();
     return true;
   }
 
@@ -214,8 +705,8 @@ async function checkRateLimit(telegramId, chatId, env) {
   // Reset window if expired
   if (minutesElapsed >= WINDOW_MINUTES) {
     await env.DB.prepare(
-      'UPDATE rate_limits SET request_count = 1, window_start = ? WHERE telegram_id = ?'
-    ).bind(now.toISOString(), telegramId).run();
+      'UPDATE rate_limits SET request_count = 1, window_start = ? WHERE telegram_id = ? AND site_id = ?'
+    ).bind(now.toISOString(), telegramId, siteId).run();
     return true;
   }
 
@@ -232,12 +723,105 @@ async function checkRateLimit(telegramId, chatId, env) {
 
   // Increment counter
   await env.DB.prepare(
-    'UPDATE rate_limits SET request_count = request_count + 1 WHERE telegram_id = ?'
-  ).bind(telegramId).run();
+    'UPDATE rate_limits SET request_count = request_count + 1 WHERE telegram_id = ? AND site_id = ?'
+  ).bind(telegramId, siteId).run();
 
   return true;
 }
 
+/**
+ * Get user session (selected date, post and pending action), null if missing or expired
+ */
+async function getSession(telegramId, env) {
+  const session = await env.DB.prepare(
+    'SELECT selected_date, site_id, pending_action, pending_data, pending_expires_at, expires_at FROM sessions WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!session) {
+    return null;
+  }
+
+  const now = new Date();
+
+  if (new Date(session.expires_at) <= now) {
+    await env.DB.prepare(
+      'DELETE FROM sessions WHERE telegram_id = ?'
+    ).bind(telegramId).run();
+    return null;
+  }
+
+  // Pending action expires earlier than the session itself
+  const pendingActive = session.pending_action &&
+    session.pending_expires_at &&
+    new Date(session.pending_expires_at) > now;
+
+  return {
+    selectedDate: session.selected_date,
+    siteId: session.site_id,
+    pendingAction: pendingActive ? session.pending_action : null,
+    pendingData: pendingActive ? JSON.parse(session.pending_data || '{}') : null
+  };
+}
+
+/**
+ * Save user session - merges changes into current state and extends expiry
+ */
+async function updateSession(telegramId, changes, env) {
+  const current = await getSession(telegramId, env) || {
+    selectedDate: null,
+    siteId: null,
+    pendingAction: null,
+    pendingData: null
+  };
+  const session = { ...current, ...changes };
+
+  const now = Date.now();
+  const expiresAt = new Date(now + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  const pendingExpiresAt = session.pendingAction
+    ? new Date(now + PENDING_ACTION_TTL_MINUTES * 60 * 1000).toISOString()
+    : null;
+
+  await env.DB.prepare(`
+    INSERT INTO sessions (telegram_id, selected_date, site_id, pending_action, pending_data, pending_expires_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(telegram_id) DO UPDATE SET
+      selected_date = excluded.selected_date,
+      site_id = excluded.site_id,
+      pending_action = excluded.pending_action,
+      pending_data = excluded.pending_data,
+      pending_expires_at = excluded.pending_expires_at,
+      expires_at = excluded.expires_at
+  `).bind(
+    telegramId,
+    session.selectedDate,
+    session.siteId || null,
+    session.pendingAction,
+    session.pendingAction ? JSON.stringify(session.pendingData || {}) : null,
+    pendingExpiresAt,
+    expiresAt
+  ).run();
+
+  return session;
+}
+
+/**
+ * Clear pending action, keep selected date
+ */
+async function clearPendingAction(telegramId, env) {
+  await env.DB.prepare(`
+    UPDATE sessions
+    SET pending_action = NULL, pending_data = NULL, pending_expires_at = NULL
+    WHERE telegram_id = ?
+  `).bind(telegramId).run();
+}
+
+/**
+ * Get date for the next journal entry - selected in /start or current shift
+ */
+function getEntryDate(session, env) {
+  return session?.selectedDate || getShiftDate(env);
+}
+
 /**
  * Handle /start command - register user or show date selection
  */
@@ -252,48 +836,19 @@ async function handleStartCommand(message, env) {
 
   if (existing) {
     // User already registered - show date selection
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
-
-    const todayStr = formatDate(today);
-    const yesterdayStr = formatDate(yesterday);
-    const tomorrowStr = formatDate(tomorrow);
-
-    const buttons = [
-      [
-        { text: '📅 Вчера', callback_data: `select_date_${yesterdayStr}` },
-        { text: '📅 Сегодня', callback_data: `select_date_${todayStr}` },
-        { text: '📅 Завтра', callback_data: `select_date_${tomorrowStr}` }
-      ]
-    ];
-
-    const helpText = `🎙️ Привет, ${existing.surname}!
-
-Выберите дату для заполнения журнала обходов:`;
-
-    await sendTelegramMessageWithButtons(chatId, helpText, buttons, env);
+    await sendDateSelection(telegramId, chatId, existing.surname, env);
     return;
   }
 
-  // Check max users limit (4 users max)
-  const usersCount = await env.DB.prepare(
-    'SELECT COUNT(*) as count FROM users'
-  ).first();
-
-  if (usersCount.count >= 4) {
-    await sendTelegramMessage(
+  // Invite code from /start <code> or t.me deep link is reserved until the surname arrives
+  const code = message.text.trim().split(/\s+/)[1];
+  if (code) {
+    const isValid = await claimInviteCode(code, telegramId, env);
+    await sendTelegramMessageWithMenu(
       chatId,
-      '❌ Регистрация закрыта.\n\nДостигнут лимит пользователей (4).\n\nОбратитесь к администратору.',
+      isValid
+        ? '🎟 Код приглашения принят.\n\nВведите вашу фамилию для регистрации:'
+        : '❌ Код приглашения недействителен или уже использован.\n\nВведите вашу фамилию — заявка будет отправлена администратору:',
       env
     );
     return;
@@ -303,407 +858,930 @@ async function handleStartCommand(message, env) {
     chatId,
     `🎙️ Добро пожаловать в голосовой журнал обходов!
 
-Введите вашу фамилию для регистрации:`,
+Введите вашу фамилию для регистрации. Заявку подтвердит администратор.
+Если у вас есть код приглашения, отправьте: /start КОД`,
     env
   );
 }
 
 /**
- * Handle /help command - show instructions
+ * Send date buttons (yesterday / today / tomorrow) for journal entry
+ * Used by /start and the button of journal reminders
  */
-async function handleHelpCommand(message, env) {
-  const chatId = message.chat.id;
-
-  const helpText = `🎙️ ГОЛОСОВОЙ БОТ ЖУРНАЛА ОБХОДОВ
-
-Этот бот работает преимущественно с голосовыми сообщениями!
+async function sendDateSelection(telegramId, chatId, surname, env) {
+  const { text, buttons } = await buildDateSelection(telegramId, surname, env);
+  await sendTelegramMessageWithButtons(chatId, text, buttons, env);
+}
 
-📋 ОСНОВНЫЕ КОМАНДЫ:
+/**
+ * Date selection message { text, buttons }, with current post and "change post" button
+ * when there is more than one active site
+ */
+async function buildDateSelection(telegramId, surname, env) {
+  // "Today" is the current shift in site timezone
+  const todayStr = getShiftDate(env);
+  const yesterdayStr = addDays(todayStr, -1);
+  const tomorrowStr = addDays(todayStr, 1);
 
-🎙️ Start - Начать заполнение (выбрать дату)
-✏️ Edit - Редактировать запись
-ℹ️ Help - Показать эту справку
-/list - Показать последние 5 записей
-/delete [дата] - Удалить запись
+  const buttons = [
+    [
+      { text: '📅 Вчера', callback_data: `select_date_${yesterdayStr}` },
+      { text: '📅 Сегодня', callback_data: `select_date_${todayStr}` },
+      { text: '📅 Завтра', callback_data: `select_date_${tomorrowStr}` }
+    ]
+  ];
 
-🎤 КАК ИСПОЛЬЗОВАТЬ:
+  let text = `🎙️ Привет, ${surname}!\n\n`;
+  const sites = await getSites(env, { activeOnly: true });
+  if (sites.length > 1) {
+    const site = await getSite(await getCurrentSiteId(telegramId, env), env);
+    text += `🏢 Пост: ${site ? site.name : '—'}\n\n`;
+    buttons.push([{ text: '🏢 Сменить пост', callback_data: 'choose_post' }]);
+  }
+  text += 'Выберите дату для заполнения журнала обходов:';
 
-1️⃣ Нажми кнопку <b>Start</b>
-2️⃣ Выбери дату (Вчера / Сегодня / Завтра)
-3️⃣ Скажи обходы и события:
+  return { text, buttons };
+}
 
-<b>Пример:</b>
-"Обходы 10:10, 12:25. Садовники приехали 07:05, уехали 15:40"
+/**
+ * Handle /post command - pick post for the current shift
+ */
+async function handlePostCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
 
-⚠️ ВАЖНО:
-• Говори только ВРЕМЯ НАЧАЛА обходов (10:10)
-• Бот автоматически добавит +10 минут (10:10-10:20)
-• События указывай со временем и описанием
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
 
-💡 ПОДСКАЗКИ:
+  if (!user) {
+    await sendTelegramMessage(chatId, 'Сначала зарегистрируйтесь: отправьте /start', env);
+    return;
+  }
 
-• Можно использовать текст вместо голоса
-• Запись обновляется если отправить данные за тот же день
-• В таблице показываются все записи всех охранников
+  const { text, buttons } = await buildPostSelection(telegramId, env);
+  await sendTelegramMessageWithButtons(chatId, text, buttons, env);
+}
 
-📊 Таблица: https://gagarinyury.github.io/voice-work-telega/`;
+/**
+ * Post selection message { text, buttons } - active sites, current one marked
+ */
+async function buildPostSelection(telegramId, env) {
+  const currentSiteId = await getCurrentSiteId(telegramId, env);
+  const sites = await getSites(env, { activeOnly: true });
+  const buttons = sites.map(site => [{
+    text: `${site.id === currentSiteId ? '✅ ' : ''}${site.name}`,
+    callback_data: `select_post_${site.id}`
+  }]);
 
-  await sendTelegramMessageWithMenu(chatId, helpText, env);
+  return {
+    text: '🏢 Выберите пост для текущей смены.\n\nНовые записи сохраняются на этот пост, после смены бот вернется к вашему основному посту.',
+    buttons
+  };
 }
 
 /**
- * Handle /list command - show recent entries
+ * Handle post buttons: "change post" opens the list, select_post_<id> keeps post in session
  */
-async function handleListCommand(message, env) {
-  const telegramId = message.from.id;
-  const chatId = message.chat.id;
-
-  // Check if user is registered
+async function handlePostButton(telegramId, chatId, messageId, siteId, callbackQueryId, env) {
   const user = await env.DB.prepare(
     'SELECT surname FROM users WHERE telegram_id = ?'
   ).bind(telegramId).first();
 
   if (!user) {
-    await sendTelegramMessage(
-      chatId,
-      'Сначала зарегистрируйтесь: отправьте /start',
-      env
-    );
+    await answerCallbackQuery(callbackQueryId, '❌ Пользователь не найден', env);
     return;
   }
 
-  // Get last 5 entries for this user
-  const { results } = await env.DB.prepare(`
-    SELECT id, date, rounds, events
-    FROM journal
-    WHERE telegram_id = ?
-    ORDER BY date DESC, created_at DESC
-    LIMIT 5
-  `).bind(telegramId).all();
-
-  if (results.length === 0) {
-    await sendTelegramMessage(
-      chatId,
-      '📋 У вас пока нет записей',
-      env
-    );
+  if (siteId === null) {
+    const { text, buttons } = await buildPostSelection(telegramId, env);
+    await answerCallbackQuery(callbackQueryId, null, env);
+    await editTelegramMessageWithButtons(chatId, messageId, text, buttons, env);
     return;
   }
 
-  let message_text = '📋 Ваши последние записи:\n\n';
-  results.forEach((entry, index) => {
-    const rounds = JSON.parse(entry.rounds || '[]');
-    const events = JSON.parse(entry.events || '[]');
-
-    message_text += `${index + 1}. ${entry.date} (ID: ${entry.id})\n`;
-    message_text += `   Интервалов обходов: ${rounds.length}\n`;
-    message_text += `   События: ${events.length}\n\n`;
-  });
+  const site = await getSite(siteId, env);
+  if (!site || !site.active) {
+    await answerCallbackQuery(callbackQueryId, '❌ Пост не найден', env);
+    return;
+  }
 
-  message_text += 'Для удаления: /delete <дата>\nНапример: /delete 09.12.2025\n\n';
-  message_text += 'Для редактирования: нажми ✏️ Edit';
+  await updateSession(telegramId, { siteId }, env);
+  await answerCallbackQuery(callbackQueryId, `🏢 ${site.name}`, env);
 
-  await sendTelegramMessageWithMenu(chatId, message_text, env);
+  const { text, buttons } = await buildDateSelection(telegramId, user.surname, env);
+  await editTelegramMessageWithButtons(chatId, messageId, text, buttons, env);
 }
 
 /**
- * Handle /delete command - delete entry
+ * Handle /handover command - outgoing guard hands the shift over:
+ * equipment state and open issues, then picks the incoming guard who accepts with a button
  */
-async function handleDeleteCommand(message, env) {
+async function handleHandoverCommand(message, env) {
   const telegramId = message.from.id;
   const chatId = message.chat.id;
-  const text = message.text.trim();
 
-  // Check if user is registered
   const user = await env.DB.prepare(
     'SELECT surname FROM users WHERE telegram_id = ?'
   ).bind(telegramId).first();
 
   if (!user) {
-    await sendTelegramMessage(
+    await sendTelegramMessage(chatId, 'Сначала зарегистрируйтесь: отправьте /start', env);
+    return;
+  }
+
+  // One open handover at a time, it can be revoked until accepted
+  const pending = await env.DB.prepare(
+    "SELECT id, to_surname FROM handovers WHERE from_telegram_id = ? AND status = 'pending'"
+  ).bind(telegramId).first();
+
+  if (pending) {
+    await sendTelegramMessageWithButtons(
       chatId,
-      'Сначала зарегистрируйтесь: отправьте /start',
+      `⏳ Передача смены уже ожидает подтверждения: ${pending.to_surname}.\n\nЧтобы изменить ее, отзовите и начните заново /handover.`,
+      [[{ text: '↩️ Отозвать', callback_data: `ho_revoke_${pending.id}` }]],
       env
     );
     return;
   }
 
-  // Parse date from command: /delete 09.12.2025 or /delete (today)
-  const parts = text.split(' ');
-  let dateToDelete;
+  const date = await getHandoverDate(telegramId, env);
+  const entry = await getEntryByDate(telegramId, date, env);
+  const siteId = entry ? entry.site_id : await getCurrentSiteId(telegramId, env);
+  const equipment = await getEquipmentCatalogue(env, { siteId });
+  const draft = {
+    date,
+    siteId,
+    items: mergeItems(parseItems(entry?.items), null, equipment),
+    step: 'items'
+  };
 
-  if (parts.length === 1) {
-    // No date provided - delete today
-    dateToDelete = new Date().toISOString().split('T')[0];
-  } else {
-    // Parse date DD.MM.YYYY
-    const dateStr = parts[1];
-    const dateParts = dateStr.split('.');
-    if (dateParts.length === 3) {
-      const [day, month, year] = dateParts;
-      dateToDelete = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  await updateSession(telegramId, { pendingAction: 'handover', pendingData: draft }, env);
+  await sendTelegramMessageWithButtons(
+    chatId,
+    await formatHandoverDraft(user.surname, draft, equipment, env),
+    getHandoverDraftKeyboard(draft.items, equipment),
+    env
+  );
+}
+
+/**
+ * Shift being handed over: the guard's latest entry of the current or previous shift
+ * (handover usually happens right after the next shift has started), otherwise the current shift
+ */
+async function getHandoverDate(telegramId, env) {
+  const shiftDate = getShiftDate(env);
+  const row = await env.DB.prepare(
+    'SELECT date FROM journal WHERE telegram_id = ? AND date BETWEEN ? AND ? ORDER BY date DESC LIMIT 1'
+  ).bind(telegramId, addDays(shiftDate, -1), shiftDate).first();
+  return row ? row.date : shiftDate;
+}
+
+/**
+ * Handover draft message - equipment toggles, then open issues
+ */
+async function formatHandoverDraft(surname, draft, equipment, env) {
+  const text = await formatHandoverText({
+    site_id: draft.siteId,
+    date: draft.date,
+    from_surname: surname,
+    items: draft.items,
+    issues: null
+  }, equipment, env, '🔁 Передача смены');
+
+  return `${text}\nНажмите на предмет, чтобы изменить отметку. Затем отправьте сообщением открытые вопросы (неисправности, незавершенные дела) или нажмите «Без замечаний».`;
+}
+
+/**
+ * Inline keyboard of handover draft: equipment toggles, "no issues" and cancel
+ */
+function getHandoverDraftKeyboard(items, equipment) {
+  return [
+    ...getEntryEquipment(items, equipment).map(item => [{
+      text: `${getItemMark(items[item.key])} ${item.label}`,
+      callback_data: `ho_item_${item.key}`
+    }]),
+    [{ text: '✅ Без замечаний', callback_data: 'ho_noissues' }],
+    [{ text: '❌ Отмена', callback_data: 'ho_cancel' }]
+  ];
+}
+
+/**
+ * Plain-text handover card: shift, post, who hands over to whom, equipment and open issues
+ */
+async function formatHandoverText(handover, equipment, env, title) {
+  let text = `${title} за ${formatReportDate(handover.date)}\n`;
+
+  if ((await getSites(env, { activeOnly: true })).length > 1) {
+    const site = await getSite(handover.site_id, env);
+    text += `🏢 ${site ? site.name : '—'}\n`;
+  }
+
+  text += `\n👤 Сдает: ${handover.from_surname}\n`;
+  if (handover.to_surname) {
+    text += `👤 Принимает: ${handover.to_surname}\n`;
+  }
+
+  text += '\n🧰 Оборудование:\n';
+  getEntryEquipment(handover.items, equipment).forEach(item => {
+    text += `${getItemMark(handover.items?.[item.key])} ${item.label}\n`;
+  });
+
+  if (handover.issues) {
+    text += `\n⚠️ Открытые вопросы:\n${handover.issues}\n`;
+  }
+
+  return text;
+}
+
+/**
+ * Incoming guard candidates: active users at the post (home site or post picked for the shift)
+ */
+async function getHandoverCandidates(telegramId, siteId, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT telegram_id, surname FROM users
+    WHERE status = 'active' AND telegram_id != ?
+      AND (site_id = ? OR telegram_id IN (SELECT telegram_id FROM sessions WHERE site_id = ? AND expires_at > ?))
+    ORDER BY surname
+  `).bind(telegramId, siteId, siteId, new Date().toISOString()).all();
+  return results;
+}
+
+/**
+ * Open issues of handover draft sent as text - next step is picking the incoming guard
+ */
+async function handleHandoverIssues(telegramId, chatId, surname, draft, text, env) {
+  if (draft.step !== 'items') {
+    await sendTelegramMessage(chatId, '👤 Выберите кнопкой, кому передаете смену, или отмените /handover.', env);
+    return;
+  }
+
+  if (text.length > HANDOVER_ISSUES_MAX_LENGTH) {
+    await sendTelegramMessage(chatId, `❌ Слишком длинный текст (максимум ${HANDOVER_ISSUES_MAX_LENGTH} символов)`, env);
+    return;
+  }
+
+  await sendHandoverCandidates(telegramId, chatId, null, surname, { ...draft, issues: text }, env);
+}
+
+/**
+ * Ask the outgoing guard whom the shift goes to (new message or edit of the draft)
+ */
+async function sendHandoverCandidates(telegramId, chatId, messageId, surname, draft, env) {
+  const candidates = await getHandoverCandidates(telegramId, draft.siteId, env);
+
+  if (candidates.length === 0) {
+    await clearPendingAction(telegramId, env);
+    const text = '❌ На посту нет других охранников, передать смену некому.';
+    if (messageId) {
+      await editTelegramMessageWithButtons(chatId, messageId, text, [], env);
     } else {
-      await sendTelegramMessage(
-        chatId,
-        '❌ Неверный формат даты.\n\nИспользуйте: /delete ДД.ММ.ГГГГ\nНапример: /delete 09.12.2025\n\nИли просто /delete для удаления сегодняшней записи',
-        env
-      );
-      return;
+      await sendTelegramMessage(chatId, text, env);
     }
+    return;
   }
 
-  // Delete entry
-  const result = await env.DB.prepare(
-    'DELETE FROM journal WHERE telegram_id = ? AND date = ?'
-  ).bind(telegramId, dateToDelete).run();
+  const next = { ...draft, issues: draft.issues || null, step: 'to' };
+  await updateSession(telegramId, { pendingAction: 'handover', pendingData: next }, env);
+
+  const equipment = await getEquipmentCatalogue(env, { siteId: next.siteId });
+  const text = `${await formatHandoverText({
+    site_id: next.siteId,
+    date: next.date,
+    from_surname: surname,
+    items: next.items,
+    issues: next.issues
+  }, equipment, env, '🔁 Передача смены')}\n👤 Кому передаете смену?`;
+  const buttons = [
+    ...candidates.map(candidate => [{ text: candidate.surname, callback_data: `ho_to_${candidate.telegram_id}` }]),
+    [{ text: '❌ Отмена', callback_data: 'ho_cancel' }]
+  ];
 
-  if (result.meta.changes > 0) {
-    await sendTelegramMessage(
-      chatId,
-      `✅ Запись за ${dateToDelete} удалена`,
-      env
-    );
+  if (messageId) {
+    await editTelegramMessageWithButtons(chatId, messageId, text, buttons, env);
   } else {
-    await sendTelegramMessage(
-      chatId,
-      `❌ Записей за ${dateToDelete} не найдено`,
-      env
-    );
+    await sendTelegramMessageWithButtons(chatId, text, buttons, env);
   }
 }
 
 /**
- * Handle /edit command - show list with buttons
+ * Handle handover buttons of the outgoing guard: ho_item_<key>, ho_noissues, ho_cancel, ho_to_<id>
  */
-async function handleEditCommand(message, env) {
-  const telegramId = message.from.id;
-  const chatId = message.chat.id;
-
-  // Check if user is registered
+async function handleHandoverDraftButton(telegramId, chatId, messageId, data, callbackQueryId, env) {
   const user = await env.DB.prepare(
     'SELECT surname FROM users WHERE telegram_id = ?'
   ).bind(telegramId).first();
+  const session = await getSession(telegramId, env);
 
-  if (!user) {
-    await sendTelegramMessage(
-      chatId,
-      'Сначала зарегистрируйтесь: отправьте /start',
-      env
-    );
+  if (!user || session?.pendingAction !== 'handover') {
+    await answerCallbackQuery(callbackQueryId, '⏱ Кнопка устарела, начните заново /handover', env);
     return;
   }
 
-  // Get last 3 entries
-  const { results } = await env.DB.prepare(`
-    SELECT id, date, rounds, events
-    FROM journal
-    WHERE telegram_id = ?
-    ORDER BY date DESC, created_at DESC
-    LIMIT 3
-  `).bind(telegramId).all();
+  const draft = session.pendingData;
+  const equipment = await getEquipmentCatalogue(env, { siteId: draft.siteId });
 
-  if (results.length === 0) {
-    await sendTelegramMessage(
-      chatId,
-      '📋 У вас пока нет записей',
+  if (data === 'ho_cancel') {
+    await clearPendingAction(telegramId, env);
+    await answerCallbackQuery(callbackQueryId, null, env);
+    await editTelegramMessageWithButtons(chatId, messageId, '❌ Передача смены отменена', [], env);
+    return;
+  }
+
+  if (data.startsWith('ho_item_') && draft.step === 'items') {
+    const key = data.substring(8);
+    if (!equipment.some(item => item.key === key)) {
+      await answerCallbackQuery(callbackQueryId, '❌ Предмет не найден', env);
+      return;
+    }
+    draft.items = mergeItems(draft.items, { [key]: !draft.items[key] }, equipment);
+    await updateSession(telegramId, { pendingData: draft }, env);
+    await answerCallbackQuery(callbackQueryId, null, env);
+    await editTelegramMessageWithButtons(
+      chatId, messageId,
+      await formatHandoverDraft(user.surname, draft, equipment, env),
+      getHandoverDraftKeyboard(draft.items, equipment),
       env
     );
     return;
   }
 
-  // Create message with buttons
-  let message_text = '✏️ Выберите запись для редактирования:\n\n';
+  if (data === 'ho_noissues' && draft.step === 'items') {
+    await answerCallbackQuery(callbackQueryId, null, env);
+    await sendHandoverCandidates(telegramId, chatId, messageId, user.surname, { ...draft, issues: null }, env);
+    return;
+  }
 
-  const buttons = [];
-  results.forEach((entry, index) => {
-    const rounds = JSON.parse(entry.rounds || '[]');
-    const events = JSON.parse(entry.events || '[]');
+  if (data.startsWith('ho_to_') && draft.step === 'to') {
+    const toId = Number(data.substring(6));
+    const candidate = (await getHandoverCandidates(telegramId, draft.siteId, env))
+      .find(row => row.telegram_id === toId);
 
-    message_text += `${index + 1}. ${entry.date}\n`;
-    message_text += `   Обходов: ${rounds.length}, События: ${events.length}\n\n`;
+    if (!candidate) {
+      await answerCallbackQuery(callbackQueryId, '❌ Охранник не найден', env);
+      return;
+    }
 
-    buttons.push([{
-      text: `📅 ${entry.date}`,
-      callback_data: `edit_${entry.date}`
-    }]);
-  });
+    const handover = await createHandover(telegramId, user.surname, candidate, draft, env);
+    await clearPendingAction(telegramId, env);
+    await answerCallbackQuery(callbackQueryId, '📨 Отправлено на подтверждение', env);
 
-  await sendTelegramMessageWithButtons(chatId, message_text, buttons, env);
+    const text = await formatHandoverText(handover, equipment, env, '🔁 Передача смены');
+    await editTelegramMessageWithButtons(
+      chatId, messageId,
+      `${text}\n⏳ Ожидает подтверждения: ${handover.to_surname}`,
+      [[{ text: '↩️ Отозвать', callback_data: `ho_revoke_${handover.id}` }]],
+      env
+    );
+    await sendTelegramMessageWithButtons(
+      handover.to_telegram_id,
+      `${text}\nПроверьте оборудование и подтвердите прием смены:`,
+      [[
+        { text: '✅ Принять смену', callback_data: `ho_accept_${handover.id}` },
+        { text: '❌ Отказаться', callback_data: `ho_decline_${handover.id}` }
+      ]],
+      env
+    );
+    return;
+  }
+
+  await answerCallbackQuery(callbackQueryId, '⏱ Кнопка устарела', env);
 }
 
 /**
- * Handle partial edit (only rounds or only events)
+ * Save handover signed by the outgoing guard, waiting for the incoming one
  */
-async function handlePartialEdit(telegramId, surname, field, text, chatId, env, date = null) {
-  const dateToEdit = date || new Date().toISOString().split('T')[0];
+async function createHandover(telegramId, surname, candidate, draft, env) {
+  const handover = {
+    site_id: draft.siteId,
+    date: draft.date,
+    from_telegram_id: telegramId,
+    from_surname: surname,
+    to_telegram_id: candidate.telegram_id,
+    to_surname: candidate.surname,
+    items: draft.items,
+    issues: draft.issues,
+    status: 'pending',
+    created_at: new Date().toISOString()
+  };
 
-  // Get existing entry
-  const existing = await env.DB.prepare(
-    'SELECT rounds, events FROM journal WHERE telegram_id = ? AND date = ?'
-  ).bind(telegramId, dateToEdit).first();
+  const result = await env.DB.prepare(`
+    INSERT INTO handovers (site_id, date, from_telegram_id, from_surname, to_telegram_id, to_surname, items, issues, status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+  `).bind(
+    handover.site_id,
+    handover.date,
+    handover.from_telegram_id,
+    handover.from_surname,
+    handover.to_telegram_id,
+    handover.to_surname,
+    JSON.stringify(handover.items),
+    handover.issues,
+    handover.created_at
+  ).run();
+
+  return { id: result.meta.last_row_id, ...handover };
+}
 
-  if (!existing) {
-    await sendTelegramMessage(
-      chatId,
-      `❌ Записи за ${dateToEdit} нет.`,
-      env
-    );
+/**
+ * Handle handover answer buttons: ho_accept_<id> / ho_decline_<id> of the incoming guard,
+ * ho_revoke_<id> of the outgoing guard. Only a pending handover changes
+ */
+async function handleHandoverAnswerButton(telegramId, chatId, messageId, action, handoverId, callbackQueryId, env) {
+  const handover = await getHandover(handoverId, env);
+  const isOwner = action === 'revoke'
+    ? handover?.from_telegram_id === telegramId
+    : handover?.to_telegram_id === telegramId;
+
+  if (!handover || !isOwner) {
+    await answerCallbackQuery(callbackQueryId, '❌ Передача смены не найдена', env);
     return;
   }
 
-  try {
-    let newRounds = existing.rounds;
-    let newEvents = existing.events;
+  const now = new Date();
+  const statuses = { accept: 'accepted', decline: 'declined', revoke: 'cancelled' };
+  const result = await env.DB.prepare(`
+    UPDATE handovers SET status = ?, accepted_at = ?, to_date = ?
+    WHERE id = ? AND status = 'pending'
+  `).bind(
+    statuses[action],
+    action === 'accept' ? now.toISOString() : null,
+    action === 'accept' ? getShiftDate(env, now) : null,
+    handoverId
+  ).run();
+
+  if (result.meta.changes === 0) {
+    await answerCallbackQuery(callbackQueryId, '⏱ Передача смены уже неактуальна', env);
+    await editTelegramMessageWithButtons(chatId, messageId, `⏱ Передача смены за ${formatReportDate(handover.date)} уже неактуальна`, [], env);
+    return;
+  }
 
-    if (field === 'rounds') {
-      // Parse rounds manually: "09:10, 12:15, 16:30" (start times only)
-      const roundsArray = text.split(',').map(t => t.trim()).filter(t => t);
-      // Convert to intervals (+10 minutes each)
-      const intervalsArray = convertToIntervals(roundsArray);
-      newRounds = JSON.stringify(intervalsArray);
-    } else if (field === 'events') {
-      // Parse events with Gemini
-      const parsedData = await parseTranscription(`События: ${text}`, env);
-      newEvents = JSON.stringify(parsedData.events || []);
-    }
+  const equipment = await getEquipmentCatalogue(env, { siteId: handover.site_id });
+  const text = await formatHandoverText(handover, equipment, env, '🔁 Передача смены');
+  const time = formatHandoverTime(now.toISOString(), env);
+  const shift = formatReportDate(handover.date);
 
-    // Update entry
-    await env.DB.prepare(`
-      UPDATE journal
-      SET rounds = ?, events = ?
-      WHERE telegram_id = ? AND date = ?
-    `).bind(newRounds, newEvents, telegramId, dateToEdit).run();
+  if (action === 'accept') {
+    // Handed over shift is final - the outgoing guard's entry gets signed
+    const entry = await getEntryByDate(handover.from_telegram_id, handover.date, env);
+    if (entry) {
+      await finaliseEntry(entry.id, env);
+    }
 
+    await answerCallbackQuery(callbackQueryId, '✅ Смена принята', env);
+    await editTelegramMessageWithButtons(chatId, messageId, `${text}\n✅ Смена принята ${time}`, [], env);
     await sendTelegramMessage(
-      chatId,
-      `✅ Обновлено!\n\n${field === 'rounds' ? '🚶 Интервалы обходов' : '📋 События'} изменены для ${dateToEdit}.`,
+      handover.from_telegram_id,
+      `✅ ${escapeHtml(handover.to_surname)} принял смену за ${shift} (${time})`,
       env
     );
-  } catch (error) {
-    console.error('Partial edit error:', error);
+  } else if (action === 'decline') {
+    await answerCallbackQuery(callbackQueryId, '❌ Отказ отправлен', env);
+    await editTelegramMessageWithButtons(chatId, messageId, `${text}\n❌ Вы отказались принять смену`, [], env);
     await sendTelegramMessage(
-      chatId,
-      `❌ Ошибка: ${error.message}`,
+      handover.from_telegram_id,
+      `❌ ${escapeHtml(handover.to_surname)} не принял смену за ${shift}.\n\nУточните оборудование и открытые вопросы и передайте заново: /handover`,
+      env
+    );
+  } else {
+    await answerCallbackQuery(callbackQueryId, '↩️ Передача отозвана', env);
+    await editTelegramMessageWithButtons(chatId, messageId, `${text}\n↩️ Передача смены отозвана`, [], env);
+    await sendTelegramMessage(
+      handover.to_telegram_id,
+      `↩️ ${escapeHtml(handover.from_surname)} отозвал передачу смены за ${shift}`,
       env
     );
   }
 }
 
 /**
- * Handle text message - register surname
+ * Get handover by id, items parsed
  */
-async function handleTextMessage(message, env) {
-  const telegramId = message.from.id;
-  const chatId = message.chat.id;
-  const text = message.text.trim();
+async function getHandover(id, env) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM handovers WHERE id = ?'
+  ).bind(id).first();
+  return row ? formatHandover(row) : null;
+}
 
-  // Check if user already registered
-  const user = await env.DB.prepare(
-    'SELECT surname FROM users WHERE telegram_id = ?'
-  ).bind(telegramId).first();
+/**
+ * Handover row for API and messages
+ */
+function formatHandover(row) {
+  return {
+    id: row.id,
+    site_id: row.site_id,
+    date: row.date,
+    from_telegram_id: row.from_telegram_id,
+    from_surname: row.from_surname,
+    to_telegram_id: row.to_telegram_id,
+    to_surname: row.to_surname,
+    items: parseItems(row.items),
+    issues: row.issues,
+    status: row.status,
+    created_at: row.created_at,
+    accepted_at: row.accepted_at,
+    to_date: row.to_date
+  };
+}
 
-  if (!user) {
-    // Check max users limit before registration
-    const usersCount = await env.DB.prepare(
-      'SELECT COUNT(*) as count FROM users'
-    ).first();
+/**
+ * Format ISO timestamp as "DD.MM.YYYY HH:MM" in site timezone
+ */
+function formatHandoverTime(iso, env) {
+  const { date, time } = getLocalDateTime(env, new Date(iso));
+  return `${formatReportDate(date)} ${time}`;
+}
 
-    if (usersCount.count >= 4) {
-      await sendTelegramMessage(
-        chatId,
-        '❌ Регистрация закрыта.\n\nДостигнут лимит пользователей (4).',
-        env
-      );
-      return;
-    }
+/**
+ * Handovers signed for journal rows - the signature of the entry.
+ * Map "<telegram_id>_<date>" -> [{ direction: 'out', ... }] for the shift handed over by the guard
+ * (pending or accepted) and [{ direction: 'in', ... }] for the shift accepted by the guard
+ */
+async function getEntryHandovers(rows, env) {
+  const handovers = new Map();
+  if (rows.length === 0) {
+    return handovers;
+  }
 
-    // Register new user
-    await env.DB.prepare(
-      'INSERT INTO users (telegram_id, surname) VALUES (?, ?)'
-    ).bind(telegramId, text).run();
+  const dates = rows.map(row => row.date).sort();
+  const from = dates[0];
+  const to = dates[dates.length - 1];
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM handovers
+    WHERE status IN ('pending', 'accepted') AND (date BETWEEN ? AND ? OR to_date BETWEEN ? AND ?)
+    ORDER BY created_at, id
+  `).bind(from, to, from, to).all();
+
+  const add = (key, handover) => {
+    if (!handovers.has(key)) {
+      handovers.set(key, []);
+    }
+    handovers.get(key).push(handover);
+  };
+  results.forEach(row => {
+    const handover = formatHandover(row);
+    add(`${row.from_telegram_id}_${row.date}`, { direction: 'out', ...handover });
+    if (row.status === 'accepted') {
+      add(`${row.to_telegram_id}_${row.to_date}`, { direction: 'in', ...handover });
+    }
+  });
 
-    await sendTelegramMessageWithMenu(
-      chatId,
-      `✅ Регистрация завершена!
+  return handovers;
+}
 
-Ваша фамилия: <b>${text}</b>
+/**
+ * Handovers of shifts in date range, newest first
+ */
+async function getHandovers(from, to, env, siteId = null) {
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM handovers
+    WHERE date BETWEEN ? AND ? ${siteId ? 'AND site_id = ?' : ''}
+    ORDER BY date DESC, created_at DESC, id DESC
+  `).bind(from, to, ...(siteId ? [siteId] : [])).all();
+  return results.map(formatHandover);
+}
 
-🎙️ Нажми кнопку <b>Start</b> чтобы начать заполнение журнала обходов!`,
-      env
-    );
+/**
+ * Register guard by surname
+ * With invite code reserved by /start <code> the guard is active at once (within user limit),
+ * otherwise registration is pending until an admin accepts it (buttons or /approve).
+ * Telegram IDs from ADMIN_TELEGRAM_IDS register as admins without approval
+ */
+async function registerUser(telegramId, chatId, surname, env) {
+  const error = validateSurname(surname);
+  if (error) {
+    await sendTelegramMessage(chatId, `❌ ${error}\n\nВведите вашу фамилию, например: Иванов`, env);
     return;
   }
 
-  // Check for special edit commands
-  if (text.toLowerCase().startsWith('rounds:')) {
-    // Edit only rounds
-    const roundsText = text.substring(7).trim();
-    await handlePartialEdit(telegramId, user.surname, 'rounds', roundsText, chatId, env);
+  if (getConfiguredAdminIds(env).includes(String(telegramId))) {
+    await env.DB.prepare(
+      "INSERT INTO users (telegram_id, surname, role, status) VALUES (?, ?, 'admin', 'active')"
+    ).bind(telegramId, surname).run();
+    await sendRegistrationCompleted(chatId, surname, env);
     return;
   }
 
-  if (text.toLowerCase().startsWith('events:')) {
-    // Edit only events
-    const eventsText = text.substring(7).trim();
-    await handlePartialEdit(telegramId, user.surname, 'events', eventsText, chatId, env);
+  const invite = await env.DB.prepare(
+    'SELECT code, site_id FROM invite_codes WHERE used_by = ? AND used_at IS NULL AND expires_at > ?'
+  ).bind(telegramId, new Date().toISOString()).first();
+  const limit = await getUserLimit(env);
+  const isFull = await countActiveUsers(env) >= limit;
+  // Invite is bound to the site of the admin who created it, requests without it go to the first site
+  const siteId = invite ? invite.site_id : DEFAULT_SITE_ID;
+
+  if (invite && !isFull) {
+    await env.DB.batch([
+      env.DB.prepare(
+        "INSERT INTO users (telegram_id, surname, role, status, site_id) VALUES (?, ?, 'guard', 'active', ?)"
+      ).bind(telegramId, surname, siteId),
+      env.DB.prepare(
+        'UPDATE invite_codes SET used_at = ? WHERE code = ?'
+      ).bind(new Date().toISOString(), invite.code)
+    ]);
+    await sendRegistrationCompleted(chatId, surname, env);
+    await notifyAdmins(`🎟 ${escapeHtml(surname)} (<code>${telegramId}</code>) зарегистрирован по коду приглашения`, env, siteId);
     return;
   }
 
-  // User is registered - process as journal entry
-  try {
-    await sendTelegramMessage(chatId, '⏳ Обрабатываю...', env);
+  await env.DB.prepare(
+    "INSERT INTO users (telegram_id, surname, role, status, site_id) VALUES (?, ?, 'guard', 'pending', ?)"
+  ).bind(telegramId, surname, siteId).run();
 
-    // Parse text with Gemini
-    const parsedData = await parseTranscription(text, env);
+  await sendTelegramMessage(
+    chatId,
+    invite
+      ? `⏳ Достигнут лимит пользователей (${limit}).\n\nЗаявка отправлена администратору, бот напишет после подтверждения.`
+      : '⏳ Заявка на регистрацию отправлена администратору.\n\nБот напишет после подтверждения.',
+    env
+  );
 
-    // Check if entry exists for today
-    const today = new Date().toISOString().split('T')[0];
-    const existing = await env.DB.prepare(
-      'SELECT id FROM journal WHERE telegram_id = ? AND date = ?'
-    ).bind(telegramId, today).first();
+  // Approve / reject prompt to every admin, resolved by the first click
+  const buttons = [[
+    { text: '✅ Принять', callback_data: `reg_ok_${telegramId}` },
+    { text: '❌ Отклонить', callback_data: `reg_no_${telegramId}` }
+  ]];
+  for (const adminId of await getAdminTelegramIds(env, siteId)) {
+    try {
+      await sendTelegramMessageWithButtons(
+        adminId,
+        `🆕 Заявка на регистрацию: ${surname} (${telegramId})${isFull ? `\nЛимит пользователей (${limit}) достигнут` : ''}`,
+        buttons,
+        env
+      );
+    } catch (error) {
+      console.error('Registration prompt error:', adminId, error);
+    }
+  }
+}
 
-    if (existing) {
-      // Update existing entry
-      await env.DB.prepare(`
-        UPDATE journal
-        SET rounds = ?, events = ?
-        WHERE telegram_id = ? AND date = ?
-      `).bind(
-        JSON.stringify(parsedData.rounds),
-        JSON.stringify(parsedData.events),
-        telegramId,
-        today
-      ).run();
-    } else {
-      // Insert new entry
-      await env.DB.prepare(`
-        INSERT INTO journal (telegram_id, surname, date, rounds, events)
-        VALUES (?, ?, ?, ?, ?)
-      `).bind(
-        telegramId,
-        user.surname,
-        today,
-        JSON.stringify(parsedData.rounds),
-        JSON.stringify(parsedData.events)
-      ).run();
+/**
+ * Send registration success message with menu
+ */
+async function sendRegistrationCompleted(chatId, surname, env) {
+  await sendTelegramMessageWithMenu(
+    chatId,
+    `✅ Регистрация завершена!
+
+Ваша фамилия: <b>${escapeHtml(surname)}</b>
+
+🎙️ Нажми кнопку <b>Start</b> чтобы начать заполнение журнала обходов!`,
+    env
+  );
+}
+
+/**
+ * Give user access with role, guards only within user limit
+ * Returns previous status, throws if user not found or limit reached
+ */
+async function approveUser(telegramId, role, env) {
+  const user = await env.DB.prepare(
+    'SELECT status FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+  if (!user) {
+    throw new Error('Пользователь не найден');
+  }
+
+  if (user.status !== 'active' && role !== 'admin') {
+    const limit = await getUserLimit(env);
+    if (await countActiveUsers(env) >= limit) {
+      throw new Error(`Достигнут лимит пользователей (${limit}). Увеличьте его: /setlimit`);
     }
+  }
+
+  await env.DB.prepare(
+    "UPDATE users SET status = 'active', role = ? WHERE telegram_id = ?"
+  ).bind(role, telegramId).run();
+
+  if (user.status !== 'active') {
+    await sendTelegramMessageWithMenu(
+      telegramId,
+      '✅ Доступ к боту открыт администратором.\n\n🎙️ Нажми кнопку <b>Start</b> чтобы начать заполнение журнала обходов!',
+      env
+    );
+  }
+  return user.status;
+}
 
-    // Send confirmation
-    const confirmation = formatConfirmation(user.surname, today, parsedData);
-    await sendTelegramMessageWithMenu(chatId, confirmation, env);
+/**
+ * Handle approve / reject button of registration request (admins)
+ */
+async function handleRegistrationButton(telegramId, chatId, messageId, targetId, approve, callbackQueryId, env) {
+  const scope = await getAdminScope(telegramId, env);
+  if (!scope) {
+    await answerCallbackQuery(callbackQueryId, '❌ Только для администраторов', env);
+    return;
+  }
+
+  const target = await env.DB.prepare(
+    'SELECT surname, status, site_id FROM users WHERE telegram_id = ?'
+  ).bind(targetId).first();
+  if (target && !isInScope(scope, target.site_id)) {
+    await answerCallbackQuery(callbackQueryId, '❌ Пользователь другого объекта', env);
+    return;
+  }
+  if (!target || target.status !== 'pending') {
+    await answerCallbackQuery(callbackQueryId, 'Заявка уже рассмотрена', env);
+    await editTelegramMessageWithButtons(chatId, messageId, `Заявка ${targetId} уже рассмотрена`, [], env);
+    return;
+  }
 
+  try {
+    if (approve) {
+      await approveUser(targetId, 'guard', env);
+    } else {
+      // Rejected requests stay blocked so the same account can't flood admins; /approve lets it in later
+      await env.DB.prepare(
+        "UPDATE users SET status = 'blocked' WHERE telegram_id = ?"
+      ).bind(targetId).run();
+      await sendTelegramMessage(targetId, '❌ Заявка на регистрацию отклонена администратором', env);
+    }
   } catch (error) {
-    console.error('Text processing error:', error);
-    let errorMsg = '❌ Ошибка обработки:\n\n';
-    errorMsg += error.message || error.toString();
-    await sendTelegramMessageWithMenu(chatId, errorMsg, env);
+    await answerCallbackQuery(callbackQueryId, `❌ ${error.message}`, env);
+    return;
   }
+
+  await answerCallbackQuery(callbackQueryId, approve ? '✅ Принято' : '❌ Отклонено', env);
+  await editTelegramMessageWithButtons(
+    chatId,
+    messageId,
+    `${approve ? '✅ Принят' : '❌ Отклонен'}: ${target.surname} (${targetId})`,
+    [],
+    env
+  );
 }
 
 /**
- * Handle voice message
+ * Reserve invite code for Telegram ID (/start <code>), true if the code is valid
  */
-async function handleVoiceMessage(message, env) {
+async function claimInviteCode(code, telegramId, env) {
+  const { meta } = await env.DB.prepare(`
+    UPDATE invite_codes SET used_by = ?
+    WHERE code = ? AND (used_by IS NULL OR used_by = ?) AND used_at IS NULL AND expires_at > ?
+  `).bind(telegramId, code.toUpperCase(), telegramId, new Date().toISOString()).run();
+  return meta.changes > 0;
+}
+
+/**
+ * Create one-time invite code valid for INVITE_CODE_TTL_HOURS, guard registers at siteId
+ */
+async function createInviteCode(createdBy, siteId, env) {
+  // No look-alike characters (0/O, 1/I/L) - code is often retyped from a screen
+  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+  const code = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+  const expiresAt = new Date(Date.now() + INVITE_CODE_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  await env.DB.prepare(
+    'INSERT INTO invite_codes (code, created_by, expires_at, site_id) VALUES (?, ?, ?, ?)'
+  ).bind(code, createdBy, expiresAt, siteId).run();
+
+  return { code, expiresAt };
+}
+
+/**
+ * Limit of active users: /setlimit value, env.MAX_USERS or DEFAULT_USER_LIMIT
+ */
+async function getUserLimit(env) {
+  const row = await env.DB.prepare(
+    "SELECT value FROM settings WHERE key = 'user_limit'"
+  ).first();
+  const limit = Number(row?.value ?? env.MAX_USERS);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_USER_LIMIT;
+}
+
+/**
+ * Count users with access to the bot
+ */
+async function countActiveUsers(env) {
+  const row = await env.DB.prepare(
+    "SELECT COUNT(*) as count FROM users WHERE status = 'active'"
+  ).first();
+  return row.count;
+}
+
+/**
+ * Check surname for registration and /rename, returns error text or null
+ * Letters with spaces, hyphens, apostrophes and dots - no commands, menu buttons or HTML
+ */
+function validateSurname(surname) {
+  if (typeof surname !== 'string' || !surname.trim() || surname.length > 50) {
+    return 'Фамилия должна быть от 1 до 50 символов';
+  }
+  if (!/^\p{L}[\p{L} .'’-]*$/u.test(surname)) {
+    return 'Фамилия может содержать только буквы, пробел, дефис и апостроф';
+  }
+  return null;
+}
+
+/**
+ * Stop blocked users and registration requests waiting for /approve, returns true if allowed
+ */
+async function checkUserAccess(update, env) {
+  const telegramId = update.callback_query?.from?.id ?? update.message?.from?.id;
+  if (!telegramId) {
+    return true;
+  }
+
+  const user = await env.DB.prepare(
+    'SELECT status FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+  if (!user || user.status === 'active') {
+    return true;
+  }
+
+  const text = user.status === 'blocked'
+    ? '🚫 Доступ к боту закрыт администратором'
+    : '⏳ Заявка на регистрацию ожидает подтверждения администратора';
+  if (update.callback_query) {
+    await answerCallbackQuery(update.callback_query.id, text, env);
+  } else if (update.message?.chat) {
+    await sendTelegramMessage(update.message.chat.id, text, env);
+  }
+  return false;
+}
+
+/**
+ * Send message to all bot admins, and to admins of the site if siteId is given
+ */
+async function notifyAdmins(text, env, siteId = null) {
+  for (const chatId of await getAdminTelegramIds(env, siteId)) {
+    try {
+      await sendTelegramMessage(chatId, text, env);
+    } catch (error) {
+      console.error('Admin notification error:', chatId, error);
+    }
+  }
+}
+
+/**
+ * Handle /help command - show instructions
+ */
+async function handleHelpCommand(message, env) {
+  const chatId = message.chat.id;
+
+  const helpText = `🎙️ ГОЛОСОВОЙ БОТ ЖУРНАЛА ОБХОДОВ
+
+Этот бот работает преимущественно с голосовыми сообщениями!
+
+📋 ОСНОВНЫЕ КОМАНДЫ:
+
+🎙️ Start - Начать заполнение (выбрать дату)
+✏️ Edit - Редактировать запись
+ℹ️ Help - Показать эту справку
+/list - Показать последние 5 записей
+/post - Выбрать пост на смену
+/handover - Передать смену следующему охраннику
+/sites - Объекты (админ - изменить)
+/equipment - Список оборудования
+/schedule - График обходов
+/remind - Напоминания о журнале
+/delete [дата] - Удалить запись
+/history [дата] - История изменений записи
+/find &lt;текст&gt; - Поиск по событиям
+/report [с] [по] - Отчет для бумажного журнала
+/export [xlsx|csv] [с] [по] [фамилия] - Выгрузка (админ)
+/summary [week|дата] - Сводка по охранникам (админ)
+/users - Пользователи: подтвердить, заблокировать, переименовать, объект, лимит (админ)
+/invite - Код приглашения для регистрации (админ)
+
+🎤 КАК ИСПОЛЬЗОВАТЬ:
+
+1️⃣ Нажми кнопку <b>Start</b>
+2️⃣ Выбери дату (Вчера / Сегодня / Завтра)
+3️⃣ Скажи обходы и события:
+
+<b>Пример:</b>
+"Обходы 10:10, 12:25. Садовники приехали 07:05, уехали 15:40"
+
+⚠️ ВАЖНО:
+• Говори только ВРЕМЯ НАЧАЛА обходов (10:10)
+• Бот автоматически добавит +10 минут (10:10-10:20)
+• События указывай со временем и описанием
+
+✏️ ГОЛОСОВЫЕ КОМАНДЫ (номер записи из /list):
+• "Измени запись 2, убери обход 21:20"
+• "Добавь к записи 1 обход 09:30"
+• "Удали запись 3"
+Бот покажет изменения и попросит подтвердить кнопкой.
+
+💡 ПОДСКАЗКИ:
+
+• Можно использовать текст вместо голоса
+• Новые сообщения за тот же день дополняют запись
+• Чтобы заменить весь день, скажи "перезапиши день" или нажми ♻️ под ответом
+• В таблице показываются записи всех охранников вашего объекта
+
+📊 Таблица: https://gagarinyury.github.io/voice-work-telega/`;
+
+  await sendTelegramMessageWithMenu(chatId, helpText, env);
+}
+
+/**
+ * Handle /list command - show recent entries
+ */
+async function handleListCommand(message, env) {
   const telegramId = message.from.id;
   const chatId = message.chat.id;
 
@@ -715,586 +1793,5861 @@ async function handleVoiceMessage(message, env) {
   if (!user) {
     await sendTelegramMessage(
       chatId,
-      'Сначала зарегистрируйтесь: отправьте команду /start',
+      'Сначала зарегистрируйтесь: отправьте /start',
       env
     );
     return;
   }
 
-  try {
-    // Step 1: Download voice file from Telegram
-    await sendTelegramMessage(chatId, '⏳ Обрабатываю голосовое...', env);
+  // Get last entries for this user
+  const results = await getRecentEntries(telegramId, env);
+
+  if (results.length === 0) {
+    await sendTelegramMessage(
+      chatId,
+      '📋 У вас пока нет записей',
+      env
+    );
+    return;
+  }
+
+  let message_text = '📋 Ваши последние записи:\n\n';
+  results.forEach((entry, index) => {
+    message_text += `${index + 1}. ${entry.date} (ID: ${entry.id})\n`;
+    message_text += `   Интервалов обходов: ${entry.rounds.length}\n`;
+    message_text += `   События: ${entry.events.length}\n\n`;
+  });
+
+  message_text += 'Для удаления: /delete &lt;дата&gt;\nНапример: /delete 09.12.2025\n\n';
+  message_text += 'Для редактирования: нажми ✏️ Edit\n\n';
+  message_text += '🎙️ Или голосом: "Измени запись 2, убери обход 21:20", "Удали запись 3"';
+
+  await sendTelegramMessageWithMenu(chatId, message_text, env);
+}
+
+/**
+ * Get recent entries of user in /list order
+ */
+async function getRecentEntries(telegramId, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, telegram_id, surname, date, items
+    FROM journal
+    WHERE telegram_id = ?
+    ORDER BY date DESC, created_at DESC
+    LIMIT ?
+  `).bind(telegramId, LIST_ENTRIES_LIMIT).all();
+
+  return attachEntryDetails(results, env);
+}
+
+/**
+ * Handle /delete command - delete entry
+ */
+async function handleDeleteCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const text = message.text.trim();
+
+  // Check if user is registered
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(
+      chatId,
+      'Сначала зарегистрируйтесь: отправьте /start',
+      env
+    );
+    return;
+  }
+
+  // Parse date from command: /delete 09.12.2025 or /delete (today)
+  const parts = text.split(' ');
+  let dateToDelete;
+
+  if (parts.length === 1) {
+    // No date provided - delete current shift
+    dateToDelete = getShiftDate(env);
+  } else {
+    // Parse date DD.MM.YYYY
+    dateToDelete = parseCommandDate(parts[1]);
+    if (!dateToDelete) {
+      await sendTelegramMessage(
+        chatId,
+        '❌ Неверный формат даты.\n\nИспользуйте: /delete ДД.ММ.ГГГГ\nНапример: /delete 09.12.2025\n\nИли просто /delete для удаления сегодняшней записи',
+        env
+      );
+      return;
+    }
+  }
+
+  // Delete entry (previous version goes to history)
+  const entry = await getEntryByDate(telegramId, dateToDelete, env);
+  if (entry) {
+    await deleteJournalEntry(entry, { actor: `tg:${telegramId}`, source: 'command' }, env);
+    await sendTelegramMessage(
+      chatId,
+      `✅ Запись за ${dateToDelete} удалена`,
+      env
+    );
+  } else {
+    await sendTelegramMessage(
+      chatId,
+      `❌ Записей за ${dateToDelete} не найдено`,
+      env
+    );
+  }
+}
+
+/**
+ * Handle /edit command - show list with buttons
+ */
+async function handleEditCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+
+  // Check if user is registered
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(
+      chatId,
+      'Сначала зарегистрируйтесь: отправьте /start',
+      env
+    );
+    return;
+  }
+
+  // Get last 3 entries
+  const { results } = await env.DB.prepare(`
+    SELECT id, date,
+      (SELECT COUNT(*) FROM journal_rounds WHERE entry_id = journal.id) AS rounds_count,
+      (SELECT COUNT(*) FROM journal_events WHERE entry_id = journal.id) AS events_count
+    FROM journal
+    WHERE telegram_id = ?
+    ORDER BY date DESC, created_at DESC
+    LIMIT 3
+  `).bind(telegramId).all();
+
+  if (results.length === 0) {
+    await sendTelegramMessage(
+      chatId,
+      '📋 У вас пока нет записей',
+      env
+    );
+    return;
+  }
+
+  // Create message with buttons
+  let message_text = '✏️ Выберите запись для редактирования:\n\n';
+
+  const buttons = [];
+  results.forEach((entry, index) => {
+    message_text += `${index + 1}. ${entry.date}\n`;
+    message_text += `   Обходов: ${entry.rounds_count}, События: ${entry.events_count}\n\n`;
+
+    buttons.push([{
+      text: `📅 ${entry.date}`,
+      callback_data: `edit_${entry.date}`
+    }]);
+  });
+
+  await sendTelegramMessageWithButtons(chatId, message_text, buttons, env);
+}
+
+/**
+ * Handle /history command - revisions of entry for date with restore buttons
+ * /history 09.12.2025 or /history (selected date)
+ */
+async function handleHistoryCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const parts = message.text.trim().split(/\s+/);
+
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(chatId, 'Сначала зарегистрируйтесь: отправьте /start', env);
+    return;
+  }
+
+  const date = parts[1] ? parseCommandDate(parts[1]) : getEntryDate(await getSession(telegramId, env), env);
+  if (!date) {
+    await sendTelegramMessage(
+      chatId,
+      '❌ Неверный формат даты.\n\nИспользуйте: /history ДД.ММ.ГГГГ\nНапример: /history 09.12.2025',
+      env
+    );
+    return;
+  }
+
+  // Entry may have been moved to another date or deleted - match any revision for this date
+  const revisions = await getRevisions(`
+    entry_id IN (
+      SELECT id FROM journal WHERE telegram_id = ? AND date = ?
+      UNION
+      SELECT entry_id FROM journal_revisions WHERE telegram_id = ? AND date = ?
+    )
+  `, [telegramId, date, telegramId, date], HISTORY_LIMIT, env);
+
+  if (revisions.length === 0) {
+    await sendTelegramMessage(chatId, `📜 Истории изменений за ${date} нет`, env);
+    return;
+  }
+
+  const actionLabels = {
+    create: '🆕 создана',
+    update: '✏️ изменена',
+    delete: '🗑 удалена',
+    restore: '↩️ восстановлена'
+  };
+  const sourceLabels = {
+    voice: 'голосом',
+    text: 'текстом',
+    web: 'в веб-таблице',
+    command: 'командой'
+  };
+
+  let message_text = `📜 История записи за ${date}:\n\n`;
+  const buttons = [];
+  revisions.forEach(revision => {
+    const actor = revision.actor === `tg:${telegramId}` ? user.surname : revision.actor;
+    message_text += `#${revision.id} ${revision.created_at} — ${actionLabels[revision.action] || revision.action} ${sourceLabels[revision.source] || revision.source} (${actor})\n`;
+    if (revision.snapshot) {
+      message_text += `   Было: обходов ${revision.snapshot.rounds.length}, событий ${revision.snapshot.events.length}\n`;
+      buttons.push([{ text: `↩️ Вернуть версию до #${revision.id}`, callback_data: `restore_${revision.id}` }]);
+    }
+    if (revision.transcription) {
+      message_text += `   💬 "${revision.transcription.substring(0, 100)}"\n`;
+    }
+    message_text += '\n';
+  });
+
+  await sendTelegramMessageWithButtons(chatId, message_text, buttons, env);
+}
+
+/**
+ * Restore revision from /history (button click)
+ */
+async function handleRestoreButton(telegramId, chatId, revisionId, callbackQueryId, env) {
+  const revision = await env.DB.prepare(
+    'SELECT entry_id, telegram_id FROM journal_revisions WHERE id = ?'
+  ).bind(revisionId).first();
+
+  // Own entries only, admins can restore any of their sites
+  const canRestore = revision && (revision.telegram_id === telegramId ||
+    isInScope(await getAdminScope(telegramId, env), await getEntrySiteId(revision.entry_id, env)));
+  if (!canRestore) {
+    await answerCallbackQuery(callbackQueryId, '❌ Версия не найдена', env);
+    return;
+  }
+
+  try {
+    const entry = await restoreRevision(revisionId, { actor: `tg:${telegramId}`, source: 'command' }, env);
+    const equipment = await getEquipmentCatalogue(env, { siteId: entry.site_id });
+    await answerCallbackQuery(callbackQueryId, '↩️ Восстановлено', env);
+    await sendTelegramMessage(chatId, escapeHtml(formatConfirmation(entry.surname, entry.date, {
+      rounds: entry.rounds,
+      events: entry.events,
+      items: parseItems(entry.items)
+    }, equipment, '↩️ Запись восстановлена')), env);
+  } catch (error) {
+    await answerCallbackQuery(callbackQueryId, `❌ ${error.message}`, env);
+  }
+}
+
+/**
+ * Site whose journal bot user reads (/find): null - all sites for admins of all sites,
+ * own site for site admins, current post for guards
+ */
+async function getReadableSiteId(telegramId, env) {
+  const scope = await getAdminScope(telegramId, env);
+  return scope ? scope.siteId : getCurrentSiteId(telegramId, env);
+}
+
+/**
+ * Handle /find command - search events of all guards by text
+ * /find садовники
+ */
+async function handleFindCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const text = message.text.replace(/^\/find(@\w+)?/, '').trim();
+
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(chatId, 'Сначала зарегистрируйтесь: отправьте /start', env);
+    return;
+  }
+
+  if (!buildFtsQuery(text)) {
+    await sendTelegramMessage(chatId, '🔍 Укажите текст для поиска.\n\nНапример: /find садовники', env);
+    return;
+  }
+
+  const siteId = await getReadableSiteId(telegramId, env);
+  const results = await searchEvents(text, { siteId, limit: FIND_LIMIT }, env);
+
+  if (results.length === 0) {
+    await sendTelegramMessage(chatId, `🔍 По запросу «${escapeHtml(text)}» ничего не найдено`, env);
+    return;
+  }
+
+  let message_text = `🔍 Найдено по запросу «${escapeHtml(text)}»:\n\n`;
+  results.forEach(result => {
+    message_text += `📅 ${formatReportDate(result.date)} ${escapeHtml(result.time)} — ${escapeHtml(result.surname)}\n`;
+    message_text += `   ${escapeHtml(result.description)}\n`;
+  });
+  if (results.length === FIND_LIMIT) {
+    message_text += `\nПоказаны последние ${FIND_LIMIT} совпадений, уточните запрос.`;
+  }
+
+  await sendTelegramMessage(chatId, message_text, env);
+}
+
+/**
+ * Handle /report command - send paper journal report of the current post as document
+ * /report (current month), /report 01.12.2025 (one day), /report 01.12.2025 31.12.2025
+ */
+async function handleReportCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const parts = message.text.trim().split(/\s+/);
+
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(chatId, 'Сначала зарегистрируйтесь: отправьте /start', env);
+    return;
+  }
+
+  let from;
+  let to;
+  if (parts.length === 1) {
+    // Current month up to current shift
+    to = getShiftDate(env);
+    from = `${to.substring(0, 8)}01`;
+  } else {
+    from = parseCommandDate(parts[1]);
+    to = parts[2] ? parseCommandDate(parts[2]) : from;
+  }
+
+  const rangeError = validateReportRange(from, to);
+  if (rangeError) {
+    await sendTelegramMessage(
+      chatId,
+      `❌ ${rangeError}\n\nИспользуйте: /report ДД.ММ.ГГГГ ДД.ММ.ГГГГ\nНапример: /report 01.12.2025 31.12.2025\n\nИли просто /report для текущего месяца`,
+      env
+    );
+    return;
+  }
+
+  await sendTelegramMessage(chatId, '⏳ Формирую отчет...', env);
+
+  try {
+    const site = await getSite(await getCurrentSiteId(telegramId, env), env);
+    const html = await buildReportHtml(from, to, env, site?.id);
+    const pdf = await renderReportPdf(html, env);
+    const fileName = `journal_${from}_${to}`;
+    const caption = `📄 Журнал передачи оборудования и обходов за ${formatReportDate(from)} — ${formatReportDate(to)}${site ? `, ${site.name}` : ''}`;
+
+    if (pdf) {
+      await sendTelegramDocument(chatId, new Blob([pdf], { type: 'application/pdf' }), `${fileName}.pdf`, caption, env);
+    } else {
+      // No PDF renderer configured - HTML opens in browser and prints / saves as PDF
+      await sendTelegramDocument(
+        chatId,
+        new Blob([html], { type: 'text/html' }),
+        `${fileName}.html`,
+        `${caption}\nОткройте файл в браузере и распечатайте.`,
+        env
+      );
+    }
+  } catch (error) {
+    console.error('Report error:', error);
+    await sendTelegramMessage(chatId, `❌ Не удалось сформировать отчет: ${escapeHtml(error.message)}`, env);
+  }
+}
+
+/**
+ * Handle /export command - send journal as XLSX / CSV (admins only)
+ * /export [xlsx|csv] [с ДД.ММ.ГГГГ] [по ДД.ММ.ГГГГ] [фамилия]
+ */
+async function handleExportCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+
+  const scope = await getAdminScope(telegramId, env);
+  if (!scope) {
+    await sendTelegramMessage(chatId, '❌ Выгрузка доступна только администраторам', env);
+    return;
+  }
+
+  const args = message.text.trim().split(/\s+/).slice(1);
+  let format = 'xlsx';
+  if (args[0] === 'xlsx' || args[0] === 'csv') {
+    format = args.shift();
+  }
+
+  const dates = [];
+  while (args.length > 0 && dates.length < 2 && /^\d{1,2}\.\d{1,2}\.\d{4}$/.test(args[0])) {
+    dates.push(parseCommandDate(args.shift()));
+  }
+
+  const today = getShiftDate(env);
+  const filter = {
+    // Current month by default
+    from: dates[0] !== undefined ? dates[0] : `${today.substring(0, 8)}01`,
+    to: dates[1] !== undefined ? dates[1] : (dates[0] !== undefined ? dates[0] : today),
+    surname: args.join(' ') || null,
+    siteId: scope.siteId
+  };
+
+  if (!filter.from || !filter.to) {
+    await sendTelegramMessage(
+      chatId,
+      '❌ Неверный формат даты.\n\nИспользуйте: /export [xlsx|csv] [с] [по] [фамилия]\nНапример: /export xlsx 01.12.2025 31.12.2025 Иванов',
+      env
+    );
+    return;
+  }
+
+  try {
+    const file = await buildJournalExport(filter, format, 'day', env);
+    await sendTelegramDocument(
+      chatId,
+      await new Response(file.body).blob(),
+      file.fileName,
+      `📊 Журнал за ${formatReportDate(filter.from)} — ${formatReportDate(filter.to)}${filter.surname ? `, ${filter.surname}` : ''}`,
+      env
+    );
+  } catch (error) {
+    console.error('Export error:', error);
+    await sendTelegramMessage(chatId, `❌ Не удалось выгрузить журнал: ${escapeHtml(error.message)}`, env);
+  }
+}
+
+/**
+ * Handle user management commands (admins only, site admins - users of their site)
+ *
+ * /users                                   - list with status
+ * /approve <id> [admin|site_admin|guard]   - confirm request / unblock / change role
+ * /block <id>                              - block access to bot and web
+ * /rename <id> <фамилия>                   - fix surname (also in journal)
+ * /setsite <id> <site id>                  - move user to another site (all-sites admins)
+ * /setlimit <N>                            - limit of active users for registration (all-sites admins)
+ */
+async function handleUserManagementCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const [command, ...args] = message.text.trim().split(/\s+/);
+
+  const scope = await getAdminScope(telegramId, env);
+  if (!scope) {
+    await sendTelegramMessage(chatId, '❌ Управление пользователями доступно только администраторам', env);
+    return;
+  }
+
+  try {
+    if (command === '/users') {
+      await sendTelegramMessage(chatId, await formatUsersList(scope, env), env);
+      return;
+    }
+
+    if ((command === '/setlimit' || command === '/setsite') && scope.siteId !== null) {
+      throw new Error('Команда доступна только администраторам всех объектов');
+    }
+
+    if (command === '/setlimit') {
+      const limit = Number(args[0]);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new Error('Лимит должен быть целым числом от 1 до 100');
+      }
+      await env.DB.prepare(`
+        INSERT INTO settings (key, value, updated_at) VALUES ('user_limit', ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `).bind(String(limit)).run();
+      await sendTelegramMessage(chatId, `✅ Лимит пользователей: ${limit}`, env);
+      return;
+    }
+
+    const target = /^\d+$/.test(args[0] || '')
+      ? await env.DB.prepare(
+        'SELECT telegram_id, surname, role, status, site_id FROM users WHERE telegram_id = ?'
+      ).bind(Number(args[0])).first()
+      : null;
+    if (!target || !isInScope(scope, target.site_id)) {
+      throw new Error('Пользователь не найден. Укажите Telegram ID из /users');
+    }
+    // Site admins don't manage admins of all sites
+    if (scope.siteId !== null && (target.role === 'admin' || getConfiguredAdminIds(env).includes(String(target.telegram_id)))) {
+      throw new Error('Администратора всех объектов может изменить только такой же администратор');
+    }
+
+    if (command === '/approve') {
+      const role = USER_ROLES[args[1]] ? args[1] : target.role;
+      if (role === 'admin' && scope.siteId !== null) {
+        throw new Error('Администратор объекта может назначить только guard или site_admin');
+      }
+      await approveUser(target.telegram_id, role, env);
+      await sendTelegramMessage(
+        chatId,
+        `✅ ${escapeHtml(target.surname)} — ${USER_ROLES[role]}, доступ открыт`,
+        env
+      );
+    } else if (command === '/block') {
+      if (target.telegram_id === telegramId || getConfiguredAdminIds(env).includes(String(target.telegram_id))) {
+        throw new Error('Нельзя заблокировать себя или администратора из ADMIN_TELEGRAM_IDS');
+      }
+      await env.DB.prepare(
+        "UPDATE users SET status = 'blocked' WHERE telegram_id = ?"
+      ).bind(target.telegram_id).run();
+
+      if (target.status === 'active') {
+        await sendTelegramMessage(target.telegram_id, '🚫 Доступ к боту закрыт администратором', env);
+      }
+      await sendTelegramMessage(chatId, `🚫 ${escapeHtml(target.surname)} заблокирован`, env);
+    } else if (command === '/rename') {
+      const surname = args.slice(1).join(' ');
+      const error = validateSurname(surname);
+      if (error) {
+        throw new Error(error);
+      }
+      // Journal and handovers keep surname per row (filters, export, search), so they change too
+      await env.DB.batch([
+        env.DB.prepare('UPDATE users SET surname = ? WHERE telegram_id = ?').bind(surname, target.telegram_id),
+        env.DB.prepare('UPDATE journal SET surname = ?, surname_lower = ? WHERE telegram_id = ?')
+          .bind(surname, normalizeSurname(surname), target.telegram_id),
+        env.DB.prepare('UPDATE handovers SET from_surname = ? WHERE from_telegram_id = ?').bind(surname, target.telegram_id),
+        env.DB.prepare('UPDATE handovers SET to_surname = ? WHERE to_telegram_id = ?').bind(surname, target.telegram_id)
+      ]);
+      await sendTelegramMessage(chatId, `✅ ${escapeHtml(target.surname)} → ${escapeHtml(surname)}`, env);
+    } else if (command === '/setsite') {
+      const site = /^\d+$/.test(args[1] || '') ? await getSite(Number(args[1]), env) : null;
+      if (!site || !site.active) {
+        throw new Error('Объект не найден. Укажите номер из /sites');
+      }
+      // Existing entries stay at the site where they were written
+      await env.DB.prepare(
+        'UPDATE users SET site_id = ? WHERE telegram_id = ?'
+      ).bind(site.id, target.telegram_id).run();
+      await sendTelegramMessage(chatId, `✅ ${escapeHtml(target.surname)} → 🏢 ${escapeHtml(site.name)}`, env);
+    }
+  } catch (error) {
+    await sendTelegramMessage(chatId, escapeHtml(`❌ ${error.message}`), env);
+  }
+}
+
+/**
+ * Format /users list with status, role, site and limit (site admins see their site)
+ */
+async function formatUsersList(scope, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT u.telegram_id, u.surname, u.role, u.status, s.name AS site_name
+    FROM users u
+    LEFT JOIN sites s ON s.id = u.site_id
+    ${scope.siteId !== null ? 'WHERE u.site_id = ?' : ''}
+    ORDER BY u.status = 'active' DESC, u.surname
+  `).bind(...(scope.siteId !== null ? [scope.siteId] : [])).all();
+  const limit = await getUserLimit(env);
+  const activeCount = await countActiveUsers(env);
+  const showSites = scope.siteId === null && (await getSites(env)).length > 1;
+
+  let message_text = `👥 Пользователи (активных ${activeCount} из ${limit}):\n\n`;
+  results.forEach(user => {
+    const icon = user.status === 'blocked' ? '🚫'
+      : user.status === 'pending' ? '⏳'
+        : user.role === 'admin' ? '👑'
+          : user.role === 'site_admin' ? '🛡' : '✅';
+    const note = user.status === 'blocked' ? ' — заблокирован' : user.status === 'pending' ? ' — ожидает подтверждения' : '';
+    const site = showSites ? ` — 🏢 ${escapeHtml(user.site_name || '—')}` : '';
+    message_text += `${icon} ${escapeHtml(user.surname)} — <code>${user.telegram_id}</code>${site}${note}\n`;
+  });
+  if (results.length === 0) {
+    message_text += 'Пользователей нет\n';
+  }
+
+  message_text += '\n/approve &lt;id&gt; [admin|site_admin|guard] — подтвердить, разблокировать, сменить роль\n';
+  message_text += '/block &lt;id&gt; — заблокировать\n';
+  message_text += '/rename &lt;id&gt; &lt;фамилия&gt; — исправить фамилию';
+  if (scope.siteId === null) {
+    message_text += '\n/setsite &lt;id&gt; &lt;объект&gt; — перевести на другой объект (/sites)\n';
+    message_text += '/setlimit &lt;N&gt; — лимит пользователей';
+  }
+  return message_text;
+}
+
+/**
+ * Handle /invite command - one-time registration code (admins only)
+ * /invite [site id] - admins of all sites invite to the given site or their current post
+ */
+async function handleInviteCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const [, siteArg] = message.text.trim().split(/\s+/);
+
+  const scope = await getAdminScope(telegramId, env);
+  if (!scope) {
+    await sendTelegramMessage(chatId, '❌ Приглашения создают только администраторы', env);
+    return;
+  }
+
+  const siteId = scope.siteId ?? (siteArg ? Number(siteArg) : await getCurrentSiteId(telegramId, env));
+  const site = Number.isInteger(siteId) ? await getSite(siteId, env) : null;
+  if (!site || !site.active) {
+    await sendTelegramMessage(chatId, '❌ Объект не найден. Укажите номер из /sites', env);
+    return;
+  }
+
+  const { code } = await createInviteCode(telegramId, site.id, env);
+  let message_text = `🎟 Код приглашения: <code>${code}</code>\n`;
+  message_text += `🏢 Объект: ${escapeHtml(site.name)}\n\n`;
+  message_text += `Одноразовый, действует ${INVITE_CODE_TTL_HOURS} ч. Новый охранник отправляет боту:\n<code>/start ${code}</code>`;
+  if (env.TELEGRAM_BOT_USERNAME) {
+    message_text += `\n\nИли открывает ссылку:\nhttps://t.me/${escapeHtml(env.TELEGRAM_BOT_USERNAME)}?start=${code}`;
+  }
+  await sendTelegramMessage(chatId, message_text, env);
+}
+
+/**
+ * Handle /sites command - list of sites, admins of all sites change it
+ *
+ * /sites                       - list
+ * /sites add <название>        - add site
+ * /sites rename <id> <название>
+ * /sites limit <id> <N>        - bot requests per guard per hour
+ * /sites off <id> | on <id>    - close / reopen site
+ */
+async function handleSitesCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const [, subcommand, ...args] = message.text.trim().split(/\s+/);
+  const scope = await getAdminScope(telegramId, env);
+
+  if (!subcommand) {
+    const sites = await getSites(env);
+    let message_text = '🏢 Объекты:\n\n';
+    sites.forEach(site => {
+      message_text += `${site.active ? '✅' : '⏸'} ${site.id}. ${site.name} — до ${site.rate_limit} запросов в час\n`;
+    });
+    message_text += '\n/post — выбрать пост на смену\n';
+    if (scope?.siteId === null) {
+      message_text += '\nУправление:\n';
+      message_text += '/sites add <название> — добавить объект\n';
+      message_text += '/sites rename <id> <название>\n';
+      message_text += '/sites limit <id> <N> — лимит запросов охранника в час\n';
+      message_text += '/sites off <id> — закрыть, /sites on <id> — открыть';
+    }
+    await sendTelegramMessage(chatId, escapeHtml(message_text), env);
+    return;
+  }
+
+  if (scope?.siteId !== null) {
+    await sendTelegramMessage(chatId, '❌ Изменять объекты может только администратор всех объектов', env);
+    return;
+  }
+
+  try {
+    let site;
+    if (subcommand === 'add') {
+      site = await createSite({ name: args.join(' ') }, env);
+    } else if (subcommand === 'rename') {
+      site = await updateSite(Number(args[0]), { name: args.slice(1).join(' ') }, env);
+    } else if (subcommand === 'limit') {
+      site = await updateSite(Number(args[0]), { rate_limit: Number(args[1]) }, env);
+    } else if (subcommand === 'off' || subcommand === 'on') {
+      site = await updateSite(Number(args[0]), { active: subcommand === 'on' }, env);
+    } else {
+      await sendTelegramMessage(chatId, '❌ Неизвестная команда. Отправьте /sites для справки', env);
+      return;
+    }
+
+    await sendTelegramMessage(
+      chatId,
+      escapeHtml(`✅ ${site.id}. ${site.name} — до ${site.rate_limit} запросов в час, ${site.active ? 'открыт' : 'закрыт'}`),
+      env
+    );
+  } catch (error) {
+    await sendTelegramMessage(chatId, escapeHtml(`❌ ${error.message}`), env);
+  }
+}
+
+/**
+ * Handle /equipment command - show catalogue, admins can change it
+ * Site admins manage items of their site, admins of all sites - shared items and items of any site
+ *
+ * /equipment                     - list
+ * /equipment add <название> [N]  - add item
+ * /equipment qty <id> <N>        - change quantity
+ * /equipment rename <id> <название>
+ * /equipment off <id> | on <id>  - retire / restore item
+ */
+async function handleEquipmentCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const [, subcommand, ...args] = message.text.trim().split(/\s+/);
+  // Guards and site admins see items of their site and shared ones, admins of all sites - every item with its site
+  const scope = await getAdminScope(telegramId, env);
+  const siteId = await getReadableSiteId(telegramId, env);
+
+  if (!subcommand) {
+    const equipment = await getEquipmentCatalogue(env, { siteId });
+    let message_text = '🧰 Оборудование:\n\n';
+    equipment.forEach(item => {
+      const site = siteId ? '' : ` (🏢 ${item.site_name || 'все объекты'})`;
+      message_text += `${item.active ? '✅' : '🚫'} ${item.id}. ${item.label}${site}\n`;
+    });
+    if (equipment.length === 0) {
+      message_text += 'Список пуст\n';
+    }
+    if (scope) {
+      message_text += '\nУправление:\n';
+      message_text += '/equipment add Рация 2\n';
+      message_text += scope.siteId
+        ? '(предмет вашего объекта)\n'
+        : '(предмет всех объектов)\n';
+      message_text += '/equipment qty <id> <кол-во>\n';
+      message_text += '/equipment rename <id> <название>\n';
+      message_text += '/equipment off <id> — убрать из списка\n';
+      message_text += '/equipment on <id> — вернуть';
+    }
+    await sendTelegramMessage(chatId, escapeHtml(message_text), env);
+    return;
+  }
+
+  if (!scope) {
+    await sendTelegramMessage(chatId, '❌ Изменять список оборудования может только администратор', env);
+    return;
+  }
+
+  try {
+    let item;
+    if (subcommand === 'add') {
+      // Last argument is quantity if numeric
+      const quantity = /^\d+$/.test(args[args.length - 1] || '') && args.length > 1 ? Number(args.pop()) : 1;
+      item = await createEquipment({ name: args.join(' '), quantity, site_id: scope.siteId }, env);
+    } else if (['qty', 'rename', 'off', 'on'].includes(subcommand)) {
+      const existing = /^\d+$/.test(args[0] || '') ? await getEquipmentItem(Number(args[0]), env) : null;
+      if (!existing || !isInScope(scope, existing.site_id)) {
+        throw new Error('Оборудование не найдено');
+      }
+      const changes = subcommand === 'qty'
+        ? { quantity: Number(args[1]) }
+        : subcommand === 'rename'
+          ? { name: args.slice(1).join(' ') }
+          : { active: subcommand === 'on' };
+      item = await updateEquipment(existing.id, changes, env);
+    } else {
+      await sendTelegramMessage(chatId, '❌ Неизвестная команда. Отправьте /equipment для справки', env);
+      return;
+    }
+
+    await sendTelegramMessage(
+      chatId,
+      escapeHtml(`✅ ${item.id}. ${item.label} (🏢 ${item.site_name || 'все объекты'}) — ${item.active ? 'в списке' : 'убрано из списка'}`),
+      env
+    );
+  } catch (error) {
+    await sendTelegramMessage(chatId, escapeHtml(`❌ ${error.message}`), env);
+  }
+}
+
+/**
+ * Handle /schedule command - round schedules, missed rounds; admins can change schedules
+ *
+ * /schedule                                        - list
+ * /schedule check [дата]                           - missed rounds of shift
+ * /schedule add <начало> <конец> <мин> [допуск] <название> - add schedule
+ * /schedule off <id> | on <id>                     - pause / resume schedule
+ */
+async function handleScheduleCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const [, subcommand, ...args] = message.text.trim().split(/\s+/);
+  // Guards and site admins see their site, admins of all sites - every schedule with its site
+  const scope = await getAdminScope(telegramId, env);
+  const siteId = await getReadableSiteId(telegramId, env);
+
+  if (!subcommand) {
+    const schedules = await getRoundSchedules(env, { siteId });
+    let message_text = '🕑 График обходов:\n\n';
+    schedules.forEach(schedule => {
+      const site = siteId ? '' : ` (🏢 ${schedule.site_name || '—'})`;
+      message_text += `${schedule.active ? '✅' : '⏸'} ${schedule.id}. ${schedule.label}${site}\n`;
+    });
+    if (schedules.length === 0) {
+      message_text += 'График не задан\n';
+    }
+    message_text += '\n/schedule check [ДД.ММ.ГГГГ] — пропущенные обходы смены\n';
+    if (scope) {
+      message_text += '\nУправление:\n';
+      message_text += '/schedule add 20:00 08:00 120 15 Ночные обходы\n';
+      message_text += '(начало, конец, интервал и допуск в минутах, название; объект — ваш текущий пост)\n';
+      message_text += '/schedule off <id> — приостановить\n';
+      message_text += '/schedule on <id> — возобновить';
+    }
+    await sendTelegramMessage(chatId, escapeHtml(message_text), env);
+    return;
+  }
+
+  if (subcommand === 'check') {
+    const date = args[0] ? parseCommandDate(args[0]) : getShiftDate(env);
+    if (!date) {
+      await sendTelegramMessage(chatId, '❌ Неверный формат даты. Используйте ДД.ММ.ГГГГ', env);
+      return;
+    }
+
+    const compliance = await getRoundCompliance(date, date, env, siteId);
+    let message_text = compliance.length === 0
+      ? `✅ Пропущенных обходов за ${formatReportDate(date)} нет`
+      : `⚠️ Пропущенные обходы за ${formatReportDate(date)}:\n\n`;
+    compliance.forEach(item => {
+      message_text += `${siteId ? '' : `${item.site_name || '—'}, `}${item.schedule_name}: ${item.missed.join(', ')}\n`;
+    });
+    await sendTelegramMessage(chatId, escapeHtml(message_text), env);
+    return;
+  }
+
+  if (!scope) {
+    await sendTelegramMessage(chatId, '❌ Изменять график обходов может только администратор', env);
+    return;
+  }
+
+  try {
+    let schedule;
+    if (subcommand === 'add') {
+      const [start_time, end_time, interval, ...rest] = args;
+      // Tolerance is optional, next argument is the name otherwise
+      const tolerance = /^\d+$/.test(rest[0] || '') && rest.length > 1 ? Number(rest.shift()) : undefined;
+      schedule = await createRoundSchedule({
+        name: rest.join(' '),
+        start_time: normalizeTime(start_time),
+        end_time: normalizeTime(end_time),
+        interval_minutes: Number(interval),
+        tolerance_minutes: tolerance,
+        site_id: scope.siteId ?? await getCurrentSiteId(telegramId, env)
+      }, env);
+    } else if (subcommand === 'off' || subcommand === 'on') {
+      const existing = /^\d+$/.test(args[0] || '') ? await getRoundSchedule(Number(args[0]), env) : null;
+      if (!existing || !isInScope(scope, existing.site_id)) {
+        throw new Error('График не найден');
+      }
+      schedule = await updateRoundSchedule(existing.id, { active: subcommand === 'on' }, env);
+    } else {
+      await sendTelegramMessage(chatId, '❌ Неизвестная команда. Отправьте /schedule для справки', env);
+      return;
+    }
+
+    await sendTelegramMessage(
+      chatId,
+      escapeHtml(`✅ ${schedule.id}. ${schedule.label} (🏢 ${schedule.site_name || '—'}) — ${schedule.active ? 'действует' : 'приостановлен'}`),
+      env
+    );
+  } catch (error) {
+    await sendTelegramMessage(chatId, escapeHtml(`❌ ${error.message}`), env);
+  }
+}
+
+/**
+ * Handle /summary command - supervisor digest on demand (admins only, site admins - own site)
+ *
+ * /summary                   - yesterday
+ * /summary week              - last 7 days
+ * /summary ДД.ММ.ГГГГ [ДД.ММ.ГГГГ] - day or period
+ */
+async function handleSummaryCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const parts = message.text.trim().split(/\s+/);
+
+  const scope = await getAdminScope(telegramId, env);
+  if (!scope) {
+    await sendTelegramMessage(chatId, '❌ Сводка доступна только администраторам', env);
+    return;
+  }
+
+  const today = getShiftDate(env);
+  let from;
+  let to;
+  if (parts.length === 1) {
+    from = to = addDays(today, -1);
+  } else if (parts[1] === 'week' || parts[1] === 'неделя') {
+    from = addDays(today, -7);
+    to = addDays(today, -1);
+  } else {
+    from = parseCommandDate(parts[1]);
+    to = parts[2] ? parseCommandDate(parts[2]) : from;
+  }
+
+  const rangeError = validateReportRange(from, to);
+  if (rangeError) {
+    await sendTelegramMessage(
+      chatId,
+      `❌ ${rangeError}\n\nИспользуйте: /summary — за вчера, /summary week — за неделю\nили /summary ДД.ММ.ГГГГ [ДД.ММ.ГГГГ]`,
+      env
+    );
+    return;
+  }
+
+  try {
+    await sendTelegramMessage(chatId, await buildDigestText(from, to, env, scope.siteId), env);
+  } catch (error) {
+    console.error('Summary error:', error);
+    await sendTelegramMessage(chatId, `❌ Не удалось сформировать сводку: ${escapeHtml(error.message)}`, env);
+  }
+}
+
+/**
+ * Handle /remind command - journal reminder settings of the guard
+ *
+ * /remind                    - status
+ * /remind on | off           - turn reminders on / off
+ * /remind quiet 23:00 07:00  - no reminders in this time
+ * /remind quiet off          - remove quiet hours
+ */
+async function handleRemindCommand(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const [, subcommand, ...args] = message.text.trim().split(/\s+/);
+
+  const user = await env.DB.prepare(
+    'SELECT reminders_enabled, quiet_start, quiet_end FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(chatId, 'Сначала зарегистрируйтесь: отправьте /start', env);
+    return;
+  }
+
+  if (subcommand === 'on' || subcommand === 'off') {
+    await env.DB.prepare(
+      'UPDATE users SET reminders_enabled = ? WHERE telegram_id = ?'
+    ).bind(subcommand === 'on' ? 1 : 0, telegramId).run();
+    await sendTelegramMessage(chatId, subcommand === 'on' ? '🔔 Напоминания включены' : '🔕 Напоминания выключены', env);
+    return;
+  }
+
+  if (subcommand === 'quiet') {
+    if (args[0] === 'off') {
+      await env.DB.prepare(
+        'UPDATE users SET quiet_start = NULL, quiet_end = NULL WHERE telegram_id = ?'
+      ).bind(telegramId).run();
+      await sendTelegramMessage(chatId, '✅ Тихие часы отключены', env);
+      return;
+    }
+
+    const [start, end] = args.map(value => normalizeTime(value));
+    if (!isValidTime(start) || !isValidTime(end) || start === end) {
+      await sendTelegramMessage(chatId, '❌ Укажите начало и конец тихих часов.\n\nНапример: /remind quiet 23:00 07:00', env);
+      return;
+    }
+
+    await env.DB.prepare(
+      'UPDATE users SET quiet_start = ?, quiet_end = ? WHERE telegram_id = ?'
+    ).bind(start, end, telegramId).run();
+    await sendTelegramMessage(chatId, `✅ Тихие часы: ${start}–${end}`, env);
+    return;
+  }
+
+  if (subcommand) {
+    await sendTelegramMessage(chatId, '❌ Неизвестная команда. Отправьте /remind для справки', env);
+    return;
+  }
+
+  const times = getReminderTimes(env);
+  let message_text = user.reminders_enabled ? '🔔 Напоминания включены\n' : '🔕 Напоминания выключены\n';
+  message_text += times.length > 0
+    ? `Время: ${times.join(', ')}, если за день нет записи\n`
+    : 'Время напоминаний не настроено администратором\n';
+  message_text += user.quiet_start
+    ? `Тихие часы: ${user.quiet_start}–${user.quiet_end}\n`
+    : 'Тихие часы не заданы\n';
+  message_text += '\n/remind on | off — включить / выключить\n';
+  message_text += '/remind quiet 23:00 07:00 — тихие часы\n';
+  message_text += '/remind quiet off — без тихих часов';
+  await sendTelegramMessage(chatId, message_text, env);
+}
+
+/**
+ * Handle partial edit (only rounds or only events)
+ */
+async function handlePartialEdit(telegramId, surname, field, text, chatId, env, date = null) {
+  const dateToEdit = date || getShiftDate(env);
+
+  // Get existing entry
+  const existing = await getEntryByDate(telegramId, dateToEdit, env);
+
+  if (!existing) {
+    await sendTelegramMessage(
+      chatId,
+      `❌ Записи за ${dateToEdit} нет.`,
+      env
+    );
+    return;
+  }
+
+  try {
+    const changes = {};
+
+    if (field === 'rounds') {
+      // Parse rounds manually: "09:10, 12:15, 16:30" (start times only)
+      const roundsArray = text.split(',').map(t => t.trim()).filter(t => t);
+      // Convert to intervals (+10 minutes each)
+      changes.rounds = convertToIntervals(roundsArray);
+    } else if (field === 'events') {
+      // Parse events with Gemini
+      const parsedData = await parseTranscription(`События: ${text}`, env, existing.site_id);
+      changes.events = parsedData.events || [];
+    }
+
+    // Update entry
+    await updateJournalEntry(existing, changes, {
+      actor: `tg:${telegramId}`,
+      source: 'command',
+      transcription: text
+    }, env);
+
+    await sendTelegramMessage(
+      chatId,
+      `✅ Обновлено!\n\n${field === 'rounds' ? '🚶 Интервалы обходов' : '📋 События'} изменены для ${dateToEdit}.`,
+      env
+    );
+  } catch (error) {
+    console.error('Partial edit error:', error);
+    await sendTelegramMessage(
+      chatId,
+      `❌ Ошибка: ${error.message}`,
+      env
+    );
+  }
+}
+
+/**
+ * Handle text message - register surname
+ */
+async function handleTextMessage(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+  const text = message.text.trim();
+
+  // Check if user already registered
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    // Register new user (limit checked inside)
+    await registerUser(telegramId, chatId, text, env);
+    return;
+  }
+
+  const session = await getSession(telegramId, env);
+
+  // Pending edit started from Edit menu - this message is the new value
+  if (session?.pendingAction === 'edit_rounds' || session?.pendingAction === 'edit_events') {
+    const field = session.pendingAction === 'edit_rounds' ? 'rounds' : 'events';
+    const fieldText = text.replace(/^(rounds|events):/i, '').trim();
+    await clearPendingAction(telegramId, env);
+    await handlePartialEdit(telegramId, user.surname, field, fieldText, chatId, env, session.pendingData.date);
+    return;
+  }
+
+  // Handover started with /handover - this message is the list of open issues
+  if (session?.pendingAction === 'handover') {
+    await handleHandoverIssues(telegramId, chatId, user.surname, session.pendingData, text, env);
+    return;
+  }
+
+  // Check for special edit commands
+  if (text.toLowerCase().startsWith('rounds:')) {
+    // Edit only rounds
+    const roundsText = text.substring(7).trim();
+    await handlePartialEdit(telegramId, user.surname, 'rounds', roundsText, chatId, env, getEntryDate(session, env));
+    return;
+  }
+
+  if (text.toLowerCase().startsWith('events:')) {
+    // Edit only events
+    const eventsText = text.substring(7).trim();
+    await handlePartialEdit(telegramId, user.surname, 'events', eventsText, chatId, env, getEntryDate(session, env));
+    return;
+  }
+
+  // User is registered - process as journal entry
+  try {
+    await sendTelegramMessage(chatId, '⏳ Обрабатываю...', env);
+
+    // Parse text with Gemini
+    const parsedData = await parseTranscription(text, env, await getCurrentSiteId(telegramId, env));
+
+    // Save entry for selected date
+    const entry = await saveJournalEntry(telegramId, user.surname, getEntryDate(session, env), parsedData, env, {
+      mode: parsedData.replaceDay ? 'replace' : 'merge',
+      source: 'text',
+      transcription: text
+    });
+
+    // Send confirmation with equipment toggles
+    await sendEntryConfirmation(telegramId, chatId, user.surname, entry, parsedData, env);
+
+  } catch (error) {
+    console.error('Text processing error:', error);
+    let errorMsg = '❌ Ошибка обработки:\n\n';
+    errorMsg += error.message || error.toString();
+    await sendTelegramMessageWithMenu(chatId, errorMsg, env);
+  }
+}
+
+/**
+ * Handle voice message
+ */
+async function handleVoiceMessage(message, env) {
+  const telegramId = message.from.id;
+  const chatId = message.chat.id;
+
+  // Check if user is registered
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await sendTelegramMessage(
+      chatId,
+      'Сначала зарегистрируйтесь: отправьте команду /start',
+      env
+    );
+    return;
+  }
+
+  try {
+    // Step 1: Download voice file from Telegram
+    await sendTelegramMessage(chatId, '⏳ Обрабатываю голосовое...', env);
+
+    const voiceFileId = message.voice.file_id;
+    const audioBuffer = await downloadTelegramFile(voiceFileId, env);
+
+    // Step 2: Transcribe with Gemini (supports audio input)
+    const transcription = await transcribeAudio(audioBuffer, env);
+
+    // Show transcription to user
+    await sendTelegramMessage(
+      chatId,
+      `📝 Распознано:\n"${transcription}"\n\n⏳ Обрабатываю данные...`,
+      env
+    );
+
+    // Step 3: Recognise intent - spoken edit/delete of /list entries needs confirmation
+    const command = await parseVoiceCommand(transcription, env);
+    if (command.commandType === 'edit' || command.commandType === 'delete') {
+      await handleVoiceCommand(telegramId, chatId, command, transcription, env);
+      return;
+    }
+
+    // Step 4: Parse transcription with Gemini structured output
+    const parsedData = await parseTranscription(transcription, env, await getCurrentSiteId(telegramId, env));
+
+    // Step 5: Save entry for selected date
+    const session = await getSession(telegramId, env);
+    const entry = await saveJournalEntry(telegramId, user.surname, getEntryDate(session, env), parsedData, env, {
+      mode: parsedData.replaceDay ? 'replace' : 'merge',
+      source: 'voice',
+      transcription
+    });
+
+    // Send confirmation with equipment toggles
+    await sendEntryConfirmation(telegramId, chatId, user.surname, entry, parsedData, env);
+
+  } catch (error) {
+    console.error('Voice processing error:', error);
+
+    // Send detailed error to user
+    let errorMsg = '❌ Ошибка обработки:\n\n';
+    errorMsg += error.message || error.toString();
+
+    if (error.stack) {
+      errorMsg += `\n\nДетали: ${error.stack.substring(0, 200)}`;
+    }
+
+    await sendTelegramMessageWithMenu(chatId, errorMsg, env);
+  }
+}
+
+/**
+ * Save parsed journal data - update entry for the date or insert a new one
+ * mode 'merge' appends rounds/events to existing entry, 'replace' overwrites the day
+ */
+async function saveJournalEntry(telegramId, surname, date, parsedData, env, { mode = 'merge', source, transcription } = {}) {
+  const existing = await getEntryByDate(telegramId, date, env);
+  const revisionMeta = { actor: `tg:${telegramId}`, source, transcription };
+
+  let rounds = parsedData.rounds || [];
+  let events = parsedData.events || [];
+
+  // New entry goes to the current post, the day stays there if the post changes later
+  const siteId = existing ? existing.site_id : await getCurrentSiteId(telegramId, env);
+
+  // Items not mentioned keep previous state (or stay unmarked)
+  const equipment = await getEquipmentCatalogue(env, { siteId });
+  const items = mergeItems(existing ? parseItems(existing.items) : null, parsedData.items, equipment);
+
+  let entryId;
+  if (existing && mode === 'merge') {
+    // Only new rounds/events are inserted, the rest of the day is untouched
+    const merged = await appendToJournalEntry(existing, { rounds, events, items }, revisionMeta, env);
+    rounds = merged.rounds;
+    events = merged.events;
+    entryId = existing.id;
+  } else if (existing) {
+    // Replace the whole day
+    await updateJournalEntry(existing, { rounds, events, items }, revisionMeta, env);
+    entryId = existing.id;
+  } else {
+    const result = await env.DB.prepare(`
+      INSERT INTO journal (telegram_id, surname, surname_lower, date, items, site_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (telegram_id, date) DO NOTHING
+    `).bind(telegramId, surname, normalizeSurname(surname), date, JSON.stringify(items), siteId).run();
+    if (!result.meta.changes) {
+      // Another message created the day in the meantime (unique telegram_id + date) - save into it
+      return saveJournalEntry(telegramId, surname, date, parsedData, env, { mode, source, transcription });
+    }
+    entryId = result.meta.last_row_id;
+
+    // Creation has no previous version, but keeps author and original message
+    await env.DB.batch([
+      ...buildEntryDetailStatements(entryId, rounds, events, env),
+      env.DB.prepare(`
+        INSERT INTO journal_revisions (entry_id, telegram_id, surname, date, snapshot, action, actor, source, transcription)
+        VALUES (?, ?, ?, ?, NULL, 'create', ?, ?, ?)
+      `).bind(
+        entryId, telegramId, surname, date,
+        revisionMeta.actor, source || 'command', transcription || null
+      )
+    ]);
+  }
+
+  const status = !existing ? 'created' : mode === 'merge' ? 'merged' : 'replaced';
+  return { id: entryId, date, site_id: siteId, rounds, events, items, status };
+}
+
+/**
+ * Append round intervals, drop duplicates by start time, sort in shift order
+ */
+function mergeRounds(current, added, env) {
+  const byStart = new Map();
+  [...current, ...added].forEach(interval => {
+    const start = interval.split('-')[0];
+    if (!byStart.has(start)) {
+      byStart.set(start, interval);
+    }
+  });
+  return sortRounds([...byStart.values()], env);
+}
+
+/**
+ * Append events, drop identical ones (same time and description), sort in shift order
+ */
+function mergeEvents(current, added, env) {
+  const seen = new Set();
+  return [...current, ...added]
+    .filter(event => {
+      const key = `${event.time}|${(event.description || '').trim().toLowerCase()}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => getShiftMinutes(a.time, env) - getShiftMinutes(b.time, env));
+}
+
+/**
+ * Sort rounds HH:MM-HH:MM by start within the shift
+ */
+function sortRounds(rounds, env) {
+  return [...rounds].sort((a, b) => getShiftMinutes(a.split('-')[0], env) - getShiftMinutes(b.split('-')[0], env));
+}
+
+/**
+ * Get full journal row by id
+ */
+async function getEntryById(entryId, env) {
+  const row = await env.DB.prepare(
+    'SELECT id, telegram_id, surname, date, items, site_id FROM journal WHERE id = ?'
+  ).bind(entryId).first();
+  return row ? (await attachEntryDetails([row], env))[0] : null;
+}
+
+/**
+ * Get full journal row of user for date
+ */
+async function getEntryByDate(telegramId, date, env) {
+  const row = await env.DB.prepare(
+    'SELECT id, telegram_id, surname, date, items, site_id FROM journal WHERE telegram_id = ? AND date = ?'
+  ).bind(telegramId, date).first();
+  return row ? (await attachEntryDetails([row], env))[0] : null;
+}
+
+/**
+ * Get full journal rows by ids, missing ids are skipped
+ */
+async function getEntriesByIds(ids, env) {
+  const rows = [];
+  // D1 allows at most 100 bound parameters per query
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100);
+    const { results } = await env.DB.prepare(
+      `SELECT id, telegram_id, surname, date, items, site_id FROM journal WHERE id IN (${chunk.map(() => '?').join(', ')})`
+    ).bind(...chunk).all();
+    rows.push(...results);
+  }
+  return attachEntryDetails(rows, env);
+}
+
+/**
+ * Add rounds ["HH:MM-HH:MM"] and events [{time, description, category?}] to journal rows
+ * from journal_rounds / journal_events - same shape the JSON columns had
+ */
+async function attachEntryDetails(rows, env) {
+  const entries = new Map(rows.map(row => [row.id, { ...row, rounds: [], events: [] }]));
+  const ids = [...entries.keys()];
+  // Shift order: times before SHIFT_START are the night after midnight and go last
+  const shiftStart = getShiftStart(env);
+
+  // D1 allows at most 100 bound parameters per query
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100);
+    const placeholders = chunk.map(() => '?').join(', ');
+    const [roundsResult, eventsResult] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT entry_id, start, "end" FROM journal_rounds WHERE entry_id IN (${placeholders}) ORDER BY start < ?, start, id`
+      ).bind(...chunk, shiftStart),
+      env.DB.prepare(
+        `SELECT entry_id, time, description, category FROM journal_events WHERE entry_id IN (${placeholders}) ORDER BY time < ?, time, id`
+      ).bind(...chunk, shiftStart)
+    ]);
+
+    roundsResult.results.forEach(round => {
+      entries.get(round.entry_id).rounds.push(round.end ? `${round.start}-${round.end}` : round.start);
+    });
+    eventsResult.results.forEach(event => {
+      entries.get(event.entry_id).events.push({
+        time: event.time,
+        description: event.description,
+        ...(event.category ? { category: event.category } : {})
+      });
+    });
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * INSERT statements of rounds and events for entry
+ */
+function buildEntryDetailStatements(entryId, rounds, events, env) {
+  return [
+    ...rounds.map(round => {
+      const [start, end] = round.split('-');
+      return env.DB.prepare(
+        'INSERT INTO journal_rounds (entry_id, start, "end") VALUES (?, ?, ?)'
+      ).bind(entryId, start, end || null);
+    }),
+    ...events.map(event => env.DB.prepare(
+      'INSERT INTO journal_events (entry_id, time, description, category) VALUES (?, ?, ?, ?)'
+    ).bind(
+      entryId,
+      event.time,
+      event.description,
+      EVENT_CATEGORIES.includes(event.category) ? event.category : null
+    ))
+  ];
+}
+
+/**
+ * Add new rounds/events to entry without rewriting the existing ones
+ * Duplicates (same round, same event time and text) are skipped
+ */
+async function appendToJournalEntry(entry, { rounds, events, items }, meta, env) {
+  const mergedRounds = mergeRounds(entry.rounds, rounds, env);
+  const mergedEvents = mergeEvents(entry.events, events, env);
+  const newRounds = mergedRounds.filter(round => !entry.rounds.includes(round));
+  const newEvents = mergedEvents.filter(event => !entry.events.includes(event));
+
+  // Repeated report adds nothing - no revision and no new signature link
+  const currentItems = parseItems(entry.items) || {};
+  const itemsChanged = Object.keys({ ...currentItems, ...items }).some(key => currentItems[key] !== items[key]);
+  if (newRounds.length === 0 && newEvents.length === 0 && !itemsChanged) {
+    return { ...entry, rounds: mergedRounds, events: mergedEvents };
+  }
+
+  await env.DB.batch([
+    buildRevisionStatement(entry, 'update', meta, env),
+    ...buildEntryDetailStatements(entry.id, newRounds, newEvents, env),
+    env.DB.prepare('UPDATE journal SET items = ? WHERE id = ?').bind(JSON.stringify(items), entry.id)
+  ]);
+  await resignEntry(entry.id, 'edit', meta.actor, env);
+
+  return { ...entry, rounds: mergedRounds, events: mergedEvents, items: JSON.stringify(items) };
+}
+
+/**
+ * Update journal entry and keep its previous version in journal_revisions
+ * changes: { date?, rounds?, events?, items? } - undefined fields are kept
+ * meta: { actor, source, transcription?, action? }
+ */
+async function updateJournalEntry(entry, changes, meta, env) {
+  const updated = {
+    date: changes.date !== undefined ? changes.date : entry.date,
+    rounds: changes.rounds !== undefined ? changes.rounds : entry.rounds,
+    events: changes.events !== undefined ? changes.events : entry.events,
+    items: changes.items !== undefined ? JSON.stringify(changes.items) : entry.items
+  };
+
+  const statements = [
+    buildRevisionStatement(entry, meta.action || 'update', meta, env),
+    env.DB.prepare(
+      'UPDATE journal SET date = ?, items = ? WHERE id = ?'
+    ).bind(updated.date, updated.items, entry.id)
+  ];
+  if (changes.rounds !== undefined) {
+    statements.push(
+      env.DB.prepare('DELETE FROM journal_rounds WHERE entry_id = ?').bind(entry.id),
+      ...buildEntryDetailStatements(entry.id, updated.rounds, [], env)
+    );
+  }
+  if (changes.events !== undefined) {
+    statements.push(
+      env.DB.prepare('DELETE FROM journal_events WHERE entry_id = ?').bind(entry.id),
+      ...buildEntryDetailStatements(entry.id, [], updated.events, env)
+    );
+  }
+
+  await env.DB.batch(statements);
+  await resignEntry(entry.id, meta.action === 'restore' ? 'restore' : 'edit', meta.actor, env);
+
+  return { ...entry, ...updated };
+}
+
+/**
+ * Delete journal entry, keeping it in journal_revisions
+ */
+async function deleteJournalEntry(entry, meta, env) {
+  await env.DB.batch([
+    buildRevisionStatement(entry, 'delete', meta, env),
+    env.DB.prepare('DELETE FROM journal_rounds WHERE entry_id = ?').bind(entry.id),
+    env.DB.prepare('DELETE FROM journal_events WHERE entry_id = ?').bind(entry.id),
+    env.DB.prepare('DELETE FROM journal WHERE id = ?').bind(entry.id)
+  ]);
+  await resignEntry(entry.id, 'delete', meta.actor, env);
+}
+
+/**
+ * Build INSERT of entry state before the change into journal_revisions
+ */
+function buildRevisionStatement(entry, action, meta, env) {
+  const snapshot = {
+    date: entry.date,
+    site_id: entry.site_id,
+    rounds: entry.rounds,
+    events: entry.events,
+    items: parseItems(entry.items)
+  };
+
+  return env.DB.prepare(`
+    INSERT INTO journal_revisions (entry_id, telegram_id, surname, date, snapshot, action, actor, source, transcription)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    entry.id,
+    entry.telegram_id,
+    entry.surname,
+    entry.date,
+    JSON.stringify(snapshot),
+    action,
+    meta.actor,
+    meta.source,
+    meta.transcription || null
+  );
+}
+
+/**
+ * Restore entry to the snapshot of revision (re-creates deleted entry)
+ */
+async function restoreRevision(revisionId, meta, env) {
+  const revision = await env.DB.prepare(
+    'SELECT id, entry_id, telegram_id, surname, snapshot FROM journal_revisions WHERE id = ?'
+  ).bind(revisionId).first();
+
+  if (!revision) {
+    throw new Error('Версия не найдена');
+  }
+  if (!revision.snapshot) {
+    throw new Error('У этой версии нет сохраненного содержимого');
+  }
+
+  const snapshot = JSON.parse(revision.snapshot);
+
+  const conflict = await env.DB.prepare(
+    'SELECT id FROM journal WHERE telegram_id = ? AND date = ? AND id != ?'
+  ).bind(revision.telegram_id, snapshot.date, revision.entry_id).first();
+
+  if (conflict) {
+    throw new Error(`На ${snapshot.date} уже есть другая запись`);
+  }
+
+  const current = await getEntryById(revision.entry_id, env);
+  if (current) {
+    return updateJournalEntry(current, snapshot, { ...meta, action: 'restore' }, env);
+  }
+
+  // Entry was deleted - put it back with the same id
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO journal (id, telegram_id, surname, surname_lower, date, items, site_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      revision.entry_id,
+      revision.telegram_id,
+      revision.surname,
+      normalizeSurname(revision.surname),
+      snapshot.date,
+      snapshot.items ? JSON.stringify(snapshot.items) : null,
+      snapshot.site_id || DEFAULT_SITE_ID
+    ),
+    ...buildEntryDetailStatements(revision.entry_id, snapshot.rounds, snapshot.events, env),
+    env.DB.prepare(`
+      INSERT INTO journal_revisions (entry_id, telegram_id, surname, date, snapshot, action, actor, source, transcription)
+      VALUES (?, ?, ?, ?, NULL, 'restore', ?, ?, ?)
+    `).bind(
+      revision.entry_id, revision.telegram_id, revision.surname, snapshot.date,
+      meta.actor, meta.source, meta.transcription || null
+    )
+  ]);
+  await resignEntry(revision.entry_id, 'restore', meta.actor, env);
+
+  return getEntryById(revision.entry_id, env);
+}
+
+/**
+ * Canonical entry content for signing - fields in fixed order, items keys sorted,
+ * rounds and events by plain HH:MM (independent of shift display order).
+ * Surname is left out: /rename changes it in all entries of the guard
+ */
+function canonicalEntryContent(entry) {
+  const items = parseItems(entry.items) || {};
+  return JSON.stringify({
+    telegram_id: entry.telegram_id,
+    site_id: entry.site_id,
+    date: entry.date,
+    items: Object.fromEntries(Object.keys(items).sort().map(key => [key, items[key]])),
+    rounds: [...entry.rounds].sort(),
+    events: [...entry.events].sort((a, b) => a.time.localeCompare(b.time)).map(event => ({
+      time: event.time,
+      description: event.description,
+      category: event.category || null
+    }))
+  });
+}
+
+/**
+ * Message signed for chain link: position, entry, author, action, content hash, time and previous link
+ */
+function signatureMessage(link) {
+  return [
+    link.seq,
+    link.entry_id,
+    link.telegram_id,
+    link.action,
+    link.actor || '',
+    link.content_hash,
+    link.signed_at,
+    link.prev_signature
+  ].join('\n');
+}
+
+/**
+ * Entry signing key from SIGNING_SECRET, null if it is not set: entries are not signed
+ * and the chain is reported as unverifiable
+ */
+function getSigningKey(env) {
+  return env.SIGNING_SECRET ? new TextEncoder().encode(env.SIGNING_SECRET) : null;
+}
+
+/**
+ * Check HMAC of chain link with signing key
+ */
+async function isLinkSigned(link, key) {
+  const expected = bytesToHex(await hmacSha256(key, signatureMessage(link)));
+  return timingSafeEqual(new TextEncoder().encode(expected), new TextEncoder().encode(link.signature));
+}
+
+/**
+ * SHA-256 of a string, lowercase hex
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * Append link for entry to the signature chain, returns the link
+ * action: final | edit | delete | restore, actor - who changed the finalised entry
+ */
+async function appendEntrySignature(entryId, action, actor, env) {
+  const key = getSigningKey(env);
+  if (!key) {
+    throw new Error('SIGNING_SECRET is not configured');
+  }
+  const entry = await getEntryById(entryId, env);
+
+  // Deleted entry keeps the author of its previous link
+  const previous = entry ? null : await env.DB.prepare(
+    'SELECT telegram_id FROM entry_signatures WHERE entry_id = ? ORDER BY seq DESC LIMIT 1'
+  ).bind(entryId).first();
+  const telegramId = entry ? entry.telegram_id : previous?.telegram_id;
+  if (!telegramId) {
+    return null;
+  }
+  const contentHash = entry ? await sha256Hex(canonicalEntryContent(entry)) : '';
+
+  for (let attempt = 0; attempt < SIGNATURE_CHAIN_RETRIES; attempt++) {
+    const head = await env.DB.prepare(
+      'SELECT seq, signature FROM entry_signatures ORDER BY seq DESC LIMIT 1'
+    ).first();
+    const link = {
+      seq: (head?.seq || 0) + 1,
+      entry_id: entryId,
+      telegram_id: telegramId,
+      action,
+      actor: actor || null,
+      content_hash: contentHash,
+      signed_at: new Date().toISOString(),
+      prev_signature: head?.signature || ''
+    };
+    link.signature = bytesToHex(await hmacSha256(key, signatureMessage(link)));
+
+    // Another request took this seq - read the new head and link to it
+    const result = await env.DB.prepare(`
+      INSERT OR IGNORE INTO entry_signatures
+        (seq, entry_id, telegram_id, action, actor, content_hash, signed_at, prev_signature, signature)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      link.seq, link.entry_id, link.telegram_id, link.action, link.actor,
+      link.content_hash, link.signed_at, link.prev_signature, link.signature
+    ).run();
+
+    if (result.meta.changes > 0) {
+      return link;
+    }
+  }
+
+  throw new Error('Signature chain is busy');
+}
+
+/**
+ * Sign entry as final if it has no signature yet (shift handed over)
+ */
+async function finaliseEntry(entryId, env) {
+  try {
+    const signed = await env.DB.prepare(
+      'SELECT seq FROM entry_signatures WHERE entry_id = ? LIMIT 1'
+    ).bind(entryId).first();
+    if (!signed) {
+      await appendEntrySignature(entryId, 'final', null, env);
+    }
+  } catch (error) {
+    console.error('Entry finalise error:', entryId, error);
+  }
+}
+
+/**
+ * Re-sign finalised entry after a change made through the bot or the API.
+ * Not finalised entries are skipped; if signing fails, verification shows the entry as modified
+ */
+async function resignEntry(entryId, action, actor, env) {
+  try {
+    const signed = await env.DB.prepare(
+      'SELECT seq FROM entry_signatures WHERE entry_id = ? LIMIT 1'
+    ).bind(entryId).first();
+    if (signed) {
+      await appendEntrySignature(entryId, action, actor, env);
+    }
+  } catch (error) {
+    console.error('Entry re-sign error:', entryId, error);
+  }
+}
+
+/**
+ * Sign entries of shifts that are over (cron), oldest first
+ */
+async function signFinalisedEntries(env) {
+  if (!getSigningKey(env)) {
+    console.error('Entry signing skipped: SIGNING_SECRET is not configured');
+    return;
+  }
+
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id FROM journal
+      WHERE date < ? AND id NOT IN (SELECT entry_id FROM entry_signatures)
+      ORDER BY date, id
+      LIMIT ?
+    `).bind(getShiftDate(env), SIGNATURE_BATCH_SIZE).all();
+
+    for (const row of results) {
+      await appendEntrySignature(row.id, 'final', null, env);
+    }
+  } catch (error) {
+    console.error('Entry signing error:', error);
+  }
+}
+
+/**
+ * Walk the signature chain from the last verified link (checkpoint in settings) to the head:
+ * every HMAC and link to the previous one. The checkpoint link is checked first, a rewritten link
+ * or another SIGNING_SECRET restarts the walk from the first link.
+ * Returns { verifiable, valid, length, head, broken_at }, verifiable is false without SIGNING_SECRET
+ */
+async function verifySignatureChain(env) {
+  const last = await env.DB.prepare(
+    'SELECT seq, signature FROM entry_signatures ORDER BY seq DESC LIMIT 1'
+  ).first();
+  const chain = { length: last?.seq || 0, head: last?.signature || null };
+
+  const key = getSigningKey(env);
+  if (!key) {
+    return { verifiable: false, valid: null, broken_at: null, ...chain };
+  }
+
+  const checkpoint = await getSignatureCheckpoint(key, env);
+  let head = checkpoint;
+  let brokenAt = null;
+
+  while (brokenAt === null) {
+    const { results } = await env.DB.prepare(
+      'SELECT * FROM entry_signatures WHERE seq > ? ORDER BY seq LIMIT ?'
+    ).bind(head.seq, JOURNAL_BATCH_SIZE).all();
+
+    for (const link of results) {
+      const isLinked = link.seq === head.seq + 1 && link.prev_signature === head.signature;
+      if (!isLinked || !await isLinkSigned(link, key)) {
+        brokenAt = link.seq;
+        break;
+      }
+      head = link;
+    }
+
+    if (results.length < JOURNAL_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (head.seq > checkpoint.seq) {
+    await env.DB.prepare(`
+      INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).bind(SIGNATURE_CHECKPOINT_KEY, JSON.stringify({ seq: head.seq, signature: head.signature })).run();
+  }
+
+  return { verifiable: true, valid: brokenAt === null, broken_at: brokenAt, ...chain };
+}
+
+/**
+ * Last verified chain link {seq, signature}, the chain start if there is none
+ * or the link no longer matches the checkpoint
+ */
+async function getSignatureCheckpoint(key, env) {
+  const start = { seq: 0, signature: '' };
+  const row = await env.DB.prepare(
+    'SELECT value FROM settings WHERE key = ?'
+  ).bind(SIGNATURE_CHECKPOINT_KEY).first();
+  if (!row) {
+    return start;
+  }
+
+  const checkpoint = JSON.parse(row.value);
+  const link = await env.DB.prepare(
+    'SELECT * FROM entry_signatures WHERE seq = ?'
+  ).bind(checkpoint.seq).first();
+  if (!link || link.signature !== checkpoint.signature || !await isLinkSigned(link, key)) {
+    return start;
+  }
+  return checkpoint;
+}
+
+/**
+ * Last chain links of entries: entry_id -> link, all signed entries without ids
+ */
+async function getLastEntrySignatures(ids, env) {
+  const links = new Map();
+  const chunks = [];
+  // D1 allows at most 100 bound parameters per query
+  for (let i = 0; ids && i < ids.length; i += 100) {
+    chunks.push(ids.slice(i, i + 100));
+  }
+
+  for (const chunk of ids ? chunks : [null]) {
+    const where = chunk ? `WHERE entry_id IN (${chunk.map(() => '?').join(', ')})` : '';
+    const { results } = await env.DB.prepare(`
+      SELECT * FROM entry_signatures
+      WHERE seq IN (SELECT MAX(seq) FROM entry_signatures ${where} GROUP BY entry_id)
+    `).bind(...(chunk || [])).all();
+    results.forEach(link => links.set(link.entry_id, link));
+  }
+  return links;
+}
+
+/**
+ * Signature status of entry against its last chain link:
+ * unsigned - shift not finalised, signed, resigned - changed after finalisation through the bot or API,
+ * modified - content differs from the signed one, broken - link is forged or after a break in the chain,
+ * unverifiable - SIGNING_SECRET is not set
+ */
+async function getEntrySignatureStatus(entry, link, chain, key) {
+  if (!link) {
+    return 'unsigned';
+  }
+  if (!chain.verifiable) {
+    return 'unverifiable';
+  }
+  if ((chain.broken_at !== null && link.seq >= chain.broken_at) || !await isLinkSigned(link, key)) {
+    return 'broken';
+  }
+  if (link.action === 'delete' || link.content_hash !== await sha256Hex(canonicalEntryContent(entry))) {
+    return 'modified';
+  }
+  return link.action === 'final' ? 'signed' : 'resigned';
+}
+
+/**
+ * Site of entry, also of a deleted one (from its last snapshot), null if entry never existed
+ */
+async function getEntrySiteId(entryId, env) {
+  const entry = await env.DB.prepare(
+    'SELECT site_id FROM journal WHERE id = ?'
+  ).bind(entryId).first();
+  if (entry) {
+    return entry.site_id;
+  }
+
+  const revision = await env.DB.prepare(
+    'SELECT snapshot FROM journal_revisions WHERE entry_id = ? AND snapshot IS NOT NULL ORDER BY id DESC LIMIT 1'
+  ).bind(entryId).first();
+  return revision ? JSON.parse(revision.snapshot).site_id || DEFAULT_SITE_ID : null;
+}
+
+/**
+ * Get revisions matching condition, newest first
+ */
+async function getRevisions(whereSql, params, limit, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, entry_id, telegram_id, surname, date, snapshot, action, actor, source, transcription, created_at
+    FROM journal_revisions
+    WHERE ${whereSql}
+    ORDER BY id DESC
+    LIMIT ?
+  `).bind(...params, limit).all();
+
+  return results.map(row => ({
+    ...row,
+    snapshot: row.snapshot ? JSON.parse(row.snapshot) : null
+  }));
+}
+
+/**
+ * Parse items JSON from DB, null if not recorded
+ */
+function parseItems(raw) {
+  if (!raw) {
+    return null;
+  }
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Apply item changes { key: boolean } on top of current state
+ * Items the guard didn't mention stay unset (not marked), recorded items of retired equipment are kept
+ */
+function mergeItems(current, changes, equipment) {
+  const items = { ...(current || {}) };
+  equipment.forEach(item => {
+    if (typeof changes?.[item.key] === 'boolean') {
+      items[item.key] = changes[item.key];
+    }
+  });
+  return items;
+}
+
+/**
+ * Item mark: ☑ handed over, ☒ not handed over, ☐ not marked
+ */
+function getItemMark(value) {
+  return value === true ? '☑' : value === false ? '☒' : '☐';
+}
+
+/**
+ * Item state as text: передано | не передано | не отмечено
+ */
+function getItemStateText(value) {
+  return value === true ? 'передано' : value === false ? 'не передано' : 'не отмечено';
+}
+
+/**
+ * Catalogue items shown for entry - active ones plus retired ones recorded in it
+ */
+function getEntryEquipment(items, equipment) {
+  return equipment.filter(item => item.active || typeof items?.[item.key] === 'boolean');
+}
+
+/**
+ * Build inline keyboard with equipment toggles for entry
+ */
+function getItemsKeyboard(entryId, items, equipment) {
+  return getEntryEquipment(items, equipment).map(item => [{
+    text: `${getItemMark(items?.[item.key])} ${item.label}`,
+    callback_data: `item_${entryId}_${item.key}`
+  }]);
+}
+
+/**
+ * Send entry confirmation with equipment toggles
+ * Merged entry also gets a button to replace the day with this message only,
+ * unless another pending action (handover draft, edit, voice command) is waiting in the session
+ */
+async function sendEntryConfirmation(telegramId, chatId, surname, entry, parsedData, env) {
+  const titles = {
+    created: '✅ Запись добавлена',
+    merged: '✅ Запись дополнена',
+    replaced: '♻️ Запись за день заменена'
+  };
+
+  const equipment = await getEquipmentCatalogue(env, { siteId: entry.site_id });
+  const confirmation = formatConfirmation(surname, entry.date, entry, equipment, titles[entry.status]);
+  const buttons = getItemsKeyboard(entry.id, entry.items, equipment);
+
+  const session = entry.status === 'merged' ? await getSession(telegramId, env) : null;
+  const canReplace = entry.status === 'merged' &&
+    (!session?.pendingAction || session.pendingAction === 'replace_day');
+
+  if (canReplace) {
+    // Keep this message data so the button can overwrite the day with it
+    await updateSession(telegramId, {
+      pendingAction: 'replace_day',
+      pendingData: {
+        entryId: entry.id,
+        rounds: parsedData.rounds || [],
+        events: parsedData.events || []
+      }
+    }, env);
+    buttons.push([{ text: '♻️ Заменить день только этим сообщением', callback_data: `replace_${entry.id}` }]);
+  }
+
+  await sendTelegramMessageWithButtons(
+    chatId,
+    `${confirmation}\nНажмите на предмет, чтобы изменить отметку о передаче:`,
+    buttons,
+    env
+  );
+}
+
+/**
+ * Replace day with the last merged message (button click)
+ */
+async function replaceDayWithLastMessage(telegramId, chatId, messageId, entryId, callbackQueryId, env) {
+  const session = await getSession(telegramId, env);
+
+  if (session?.pendingAction !== 'replace_day' || session.pendingData.entryId !== entryId) {
+    await answerCallbackQuery(callbackQueryId, '⏱ Кнопка устарела', env);
+    return;
+  }
+
+  const entry = await getEntryById(entryId, env);
+
+  if (!entry || entry.telegram_id !== telegramId) {
+    await answerCallbackQuery(callbackQueryId, '❌ Запись не найдена', env);
+    return;
+  }
+
+  const { rounds, events } = session.pendingData;
+  await updateJournalEntry(entry, { rounds, events }, { actor: `tg:${telegramId}`, source: 'command' }, env);
+  await clearPendingAction(telegramId, env);
+
+  const equipment = await getEquipmentCatalogue(env, { siteId: entry.site_id });
+  const items = mergeItems(parseItems(entry.items), null, equipment);
+  await answerCallbackQuery(callbackQueryId, '♻️ День заменен', env);
+  await editTelegramMessageWithButtons(
+    chatId,
+    messageId,
+    `${formatConfirmation(entry.surname, entry.date, { rounds, events, items }, equipment, '♻️ Запись за день заменена')}\nНажмите на предмет, чтобы изменить отметку о передаче:`,
+    getItemsKeyboard(entry.id, items, equipment),
+    env
+  );
+}
+
+/**
+ * Get equipment catalogue ordered for display
+ * siteId - items of this site and shared ones (site_id NULL), null - items of all sites
+ */
+async function getEquipmentCatalogue(env, { activeOnly = false, siteId = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (activeOnly) {
+    conditions.push('e.active = 1');
+  }
+  if (siteId) {
+    conditions.push('(e.site_id IS NULL OR e.site_id = ?)');
+    params.push(siteId);
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT e.id, e.key, e.name, e.quantity, e.active, e.site_id, s.name AS site_name
+    FROM equipment e
+    LEFT JOIN sites s ON s.id = e.site_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY e.sort_order, e.id
+  `).bind(...params).all();
+
+  return results.map(formatEquipmentItem);
+}
+
+/**
+ * Catalogue items of site from the catalogue of all sites (entries of several sites at once)
+ */
+function getSiteEquipment(equipment, siteId) {
+  return equipment.filter(item => item.site_id === null || item.site_id === siteId);
+}
+
+/**
+ * Equipment row for API / bot, site_id null - shared by all sites
+ */
+function formatEquipmentItem(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    name: row.name,
+    quantity: row.quantity,
+    active: !!row.active,
+    site_id: row.site_id ?? null,
+    site_name: row.site_name ?? null,
+    label: formatEquipmentLabel(row)
+  };
+}
+
+/**
+ * Format equipment label: "Ключи (2 шт)"
+ */
+function formatEquipmentLabel(item) {
+  return item.quantity > 1 ? `${item.name} (${item.quantity} шт)` : item.name;
+}
+
+/**
+ * Add equipment item to catalogue, site_id null - shared by all sites
+ */
+async function createEquipment({ name, quantity = 1, site_id = null }, env) {
+  const error = validateEquipmentFields({ name, quantity });
+  if (error) {
+    throw new Error(error);
+  }
+  if (site_id !== null && (!Number.isInteger(site_id) || !await getSite(site_id, env))) {
+    throw new Error('Объект не найден');
+  }
+
+  // Short random key keeps callback_data within Telegram 64-byte limit
+  const key = `eq_${crypto.randomUUID().slice(0, 8)}`;
+  const result = await env.DB.prepare(`
+    INSERT INTO equipment (key, name, quantity, site_id, sort_order)
+    VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM equipment))
+  `).bind(key, name.trim(), quantity, site_id).run();
+
+  return getEquipmentItem(result.meta.last_row_id, env);
+}
+
+/**
+ * Update equipment item { name?, quantity?, active? }
+ */
+async function updateEquipment(id, changes, env) {
+  const existing = Number.isInteger(id) ? await getEquipmentItem(id, env) : null;
+  if (!existing) {
+    throw new Error('Оборудование не найдено');
+  }
+
+  const error = validateEquipmentFields(changes);
+  if (error) {
+    throw new Error(error);
+  }
+
+  await env.DB.prepare(`
+    UPDATE equipment
+    SET name = ?, quantity = ?, active = ?
+    WHERE id = ?
+  `).bind(
+    changes.name !== undefined ? changes.name.trim() : existing.name,
+    changes.quantity !== undefined ? changes.quantity : existing.quantity,
+    (changes.active !== undefined ? changes.active : existing.active) ? 1 : 0,
+    id
+  ).run();
+
+  return getEquipmentItem(id, env);
+}
+
+/**
+ * Get single equipment item by id
+ */
+async function getEquipmentItem(id, env) {
+  const row = await env.DB.prepare(`
+    SELECT e.id, e.key, e.name, e.quantity, e.active, e.site_id, s.name AS site_name
+    FROM equipment e
+    LEFT JOIN sites s ON s.id = e.site_id
+    WHERE e.id = ?
+  `).bind(id).first();
+
+  return row ? formatEquipmentItem(row) : null;
+}
+
+/**
+ * Validate equipment fields, returns error text or null
+ */
+function validateEquipmentFields(fields) {
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 50)) {
+    return 'Название должно быть от 1 до 50 символов';
+  }
+  if (fields.quantity !== undefined && (!Number.isInteger(fields.quantity) || fields.quantity < 1 || fields.quantity > 100)) {
+    return 'Количество должно быть целым числом от 1 до 100';
+  }
+  if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+    return 'Поле active должно быть true или false';
+  }
+  return null;
+}
+
+/**
+ * Get sites (guarded objects) ordered by id
+ */
+async function getSites(env, { activeOnly = false } = {}) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, name, rate_limit, active, created_at
+    FROM sites
+    ${activeOnly ? 'WHERE active = 1' : ''}
+    ORDER BY id
+  `).all();
+
+  return results.map(formatSite);
+}
+
+/**
+ * Get single site by id
+ */
+async function getSite(id, env) {
+  const row = await env.DB.prepare(
+    'SELECT id, name, rate_limit, active, created_at FROM sites WHERE id = ?'
+  ).bind(id).first();
+
+  return row ? formatSite(row) : null;
+}
+
+/**
+ * Site row for API / bot
+ */
+function formatSite(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    rate_limit: row.rate_limit,
+    active: !!row.active,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Add site { name, rate_limit? }
+ */
+async function createSite(fields, env) {
+  const site = { ...fields, rate_limit: fields.rate_limit ?? DEFAULT_SITE_RATE_LIMIT, active: true };
+  const error = validateSiteFields(site) || await findSiteNameConflict(site.name, null, env);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const result = await env.DB.prepare(
+    'INSERT INTO sites (name, rate_limit) VALUES (?, ?)'
+  ).bind(site.name.trim(), site.rate_limit).run();
+
+  return getSite(result.meta.last_row_id, env);
+}
+
+/**
+ * Update site, any of { name, rate_limit, active }
+ */
+async function updateSite(id, changes, env) {
+  const existing = Number.isInteger(id) ? await getSite(id, env) : null;
+  if (!existing) {
+    throw new Error('Объект не найден');
+  }
+
+  const site = { ...existing };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== undefined) site[key] = value;
+  }
+  const error = validateSiteFields(site) || await findSiteNameConflict(site.name, id, env);
+  if (error) {
+    throw new Error(error);
+  }
+
+  await env.DB.prepare(
+    'UPDATE sites SET name = ?, rate_limit = ?, active = ? WHERE id = ?'
+  ).bind(site.name.trim(), site.rate_limit, site.active ? 1 : 0, id).run();
+
+  return getSite(id, env);
+}
+
+/**
+ * Validate site fields, returns error text or null
+ */
+function validateSiteFields(site) {
+  if (typeof site.name !== 'string' || !site.name.trim() || site.name.length > 50) {
+    return 'Название должно быть от 1 до 50 символов';
+  }
+  if (!Number.isInteger(site.rate_limit) || site.rate_limit < 1 || site.rate_limit > 1000) {
+    return 'Лимит запросов должен быть от 1 до 1000 в час';
+  }
+  if (typeof site.active !== 'boolean') {
+    return 'Поле active должно быть true или false';
+  }
+  return null;
+}
+
+/**
+ * Site names are unique, returns error text or null
+ */
+async function findSiteNameConflict(name, id, env) {
+  const conflict = await env.DB.prepare(
+    'SELECT id FROM sites WHERE name = ? AND id != ?'
+  ).bind(name.trim(), id ?? 0).first();
+  return conflict ? `Объект «${name.trim()}» уже есть` : null;
+}
+
+/**
+ * Site the user works at now: post picked with /post for this shift, otherwise home site
+ */
+async function getCurrentSiteId(telegramId, env) {
+  const session = await getSession(telegramId, env);
+  if (session?.siteId) {
+    return session.siteId;
+  }
+
+  const user = await env.DB.prepare(
+    'SELECT site_id FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+  return user?.site_id || DEFAULT_SITE_ID;
+}
+
+/**
+ * Get round schedules ordered by id, siteId - only schedules of this site
+ */
+async function getRoundSchedules(env, { activeOnly = false, siteId = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (activeOnly) {
+    conditions.push('r.active = 1');
+  }
+  if (siteId) {
+    conditions.push('r.site_id = ?');
+    params.push(siteId);
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT r.id, r.name, r.start_time, r.end_time, r.interval_minutes, r.tolerance_minutes, r.active, r.created_at,
+      r.site_id, s.name AS site_name
+    FROM round_schedules r
+    LEFT JOIN sites s ON s.id = r.site_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY r.id
+  `).bind(...params).all();
+
+  return results.map(formatRoundSchedule);
+}
+
+/**
+ * Get single round schedule by id
+ */
+async function getRoundSchedule(id, env) {
+  const row = await env.DB.prepare(`
+    SELECT r.id, r.name, r.start_time, r.end_time, r.interval_minutes, r.tolerance_minutes, r.active, r.created_at,
+      r.site_id, s.name AS site_name
+    FROM round_schedules r
+    LEFT JOIN sites s ON s.id = r.site_id
+    WHERE r.id = ?
+  `).bind(id).first();
+
+  return row ? formatRoundSchedule(row) : null;
+}
+
+/**
+ * Round schedule row for API / bot, with label "Ночь: 20:00–08:00, каждые 2 ч, ±15 мин"
+ */
+function formatRoundSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    start_time: row.start_time,
+    end_time: row.end_time,
+    interval_minutes: row.interval_minutes,
+    tolerance_minutes: row.tolerance_minutes,
+    active: !!row.active,
+    created_at: row.created_at,
+    site_id: row.site_id,
+    site_name: row.site_name,
+    label: `${row.name}: ${row.start_time}–${row.end_time}, каждые ${formatDuration(row.interval_minutes)}, ±${row.tolerance_minutes} мин`
+  };
+}
+
+/**
+ * Format minutes as "2 ч", "1 ч 30 мин", "45 мин"
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} мин`;
+  return rest ? `${hours} ч ${rest} мин` : `${hours} ч`;
+}
+
+/**
+ * Add round schedule { name, start_time, end_time, interval_minutes, tolerance_minutes?, site_id? }
+ */
+async function createRoundSchedule(fields, env) {
+  const schedule = {
+    ...fields,
+    tolerance_minutes: fields.tolerance_minutes ?? 15,
+    site_id: fields.site_id ?? DEFAULT_SITE_ID
+  };
+  const error = validateScheduleFields(schedule);
+  if (error) {
+    throw new Error(error);
+  }
+  if (!Number.isInteger(schedule.site_id) || !await getSite(schedule.site_id, env)) {
+    throw new Error('Объект не найден');
+  }
+
+  const result = await env.DB.prepare(`
+    INSERT INTO round_schedules (name, start_time, end_time, interval_minutes, tolerance_minutes, site_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(
+    schedule.name.trim(),
+    schedule.start_time,
+    schedule.end_time,
+    schedule.interval_minutes,
+    schedule.tolerance_minutes,
+    schedule.site_id
+  ).run();
+
+  return getRoundSchedule(result.meta.last_row_id, env);
+}
+
+/**
+ * Update round schedule, any of the create fields plus active
+ */
+async function updateRoundSchedule(id, changes, env) {
+  const existing = Number.isInteger(id) ? await getRoundSchedule(id, env) : null;
+  if (!existing) {
+    throw new Error('График не найден');
+  }
+
+  // Fields depend on each other (tolerance vs interval), so check the result
+  const schedule = { ...existing };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== undefined) schedule[key] = value;
+  }
+  const error = validateScheduleFields(schedule);
+  if (error) {
+    throw new Error(error);
+  }
+
+  await env.DB.prepare(`
+    UPDATE round_schedules
+    SET name = ?, start_time = ?, end_time = ?, interval_minutes = ?, tolerance_minutes = ?, active = ?
+    WHERE id = ?
+  `).bind(
+    schedule.name.trim(),
+    schedule.start_time,
+    schedule.end_time,
+    schedule.interval_minutes,
+    schedule.tolerance_minutes,
+    schedule.active ? 1 : 0,
+    id
+  ).run();
+
+  return getRoundSchedule(id, env);
+}
+
+/**
+ * Validate round schedule, returns error text or null
+ */
+function validateScheduleFields(schedule) {
+  if (typeof schedule.name !== 'string' || !schedule.name.trim() || schedule.name.length > 50) {
+    return 'Название должно быть от 1 до 50 символов';
+  }
+  if (!isValidTime(schedule.start_time) || !isValidTime(schedule.end_time)) {
+    return 'Время начала и конца в формате ЧЧ:ММ';
+  }
+  if (schedule.start_time === schedule.end_time) {
+    return 'Время начала и конца совпадает';
+  }
+  if (!Number.isInteger(schedule.interval_minutes) || schedule.interval_minutes < 10 || schedule.interval_minutes > 720) {
+    return 'Интервал должен быть от 10 до 720 минут';
+  }
+  if (!Number.isInteger(schedule.tolerance_minutes) || schedule.tolerance_minutes < 0 || schedule.tolerance_minutes * 2 >= schedule.interval_minutes) {
+    return 'Допуск должен быть меньше половины интервала';
+  }
+  return null;
+}
+
+/**
+ * Required round slots of schedule as minutes from window start
+ * Window from start_time to end_time, past midnight if end_time is earlier
+ */
+function getScheduleSlots(schedule) {
+  const length = (timeToMinutes(schedule.end_time) - timeToMinutes(schedule.start_time) + 1440) % 1440;
+  const slots = [];
+  for (let offset = 0; offset <= length; offset += schedule.interval_minutes) {
+    slots.push(offset);
+  }
+  return slots;
+}
+
+/**
+ * Round slots of schedule that belong to shift date (toShiftDate of the slot): [{ at, date, time }],
+ * at - wall-clock minutes. A window crossing SHIFT_START is split between two shifts,
+ * so windows opening the day before and the day after are checked too
+ */
+function getShiftSlots(schedule, shiftDate, env) {
+  const start = timeToMinutes(schedule.start_time);
+  const slots = [];
+  for (const windowDate of [addDays(shiftDate, -1), shiftDate, addDays(shiftDate, 1)]) {
+    for (const offset of getScheduleSlots(schedule)) {
+      const date = addDays(windowDate, Math.floor((start + offset) / 1440));
+      const time = minutesToTime(start + offset);
+      if (toShiftDate(date, time, env) === shiftDate) {
+        slots.push({ at: toWallMinutes(windowDate, schedule.start_time) + offset, date, time });
+      }
+    }
+  }
+  return slots.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Missed slots: due (past tolerance by nowMinutes), after the schedule was created
+ * and without a round within tolerance. roundMinutes - wall-clock minutes of rounds at the site
+ */
+function findMissedSlots(schedule, slots, roundMinutes, nowMinutes, env) {
+  const tolerance = schedule.tolerance_minutes;
+  const createdAt = getScheduleCreatedMinutes(schedule, env);
+
+  return slots
+    .filter(slot => slot.at + tolerance < nowMinutes && slot.at >= createdAt)
+    .filter(slot => !roundMinutes.some(round => Math.abs(round - slot.at) <= tolerance));
+}
+
+/**
+ * Schedule created_at (UTC) as local wall-clock minutes
+ */
+function getScheduleCreatedMinutes(schedule, env) {
+  const created = getLocalDateTime(env, new Date(`${schedule.created_at.replace(' ', 'T')}Z`));
+  return toWallMinutes(created.date, created.time);
+}
+
+/**
+ * Wall-clock minutes of round start recorded in entry of shift date: before SHIFT_START it is the next day
+ */
+function getRoundWallMinutes(shiftDate, time, env) {
+  const date = time < getShiftStart(env) ? addDays(shiftDate, 1) : shiftDate;
+  return toWallMinutes(date, time);
+}
+
+/**
+ * Round start wall-clock minutes by site for shift dates from..to (and one day around,
+ * for windows crossing SHIFT_START): { <site id>: [minutes, ...] }
+ */
+async function getRoundMinutesBySite(from, to, env) {
+  const { results } = await env.DB.prepare(`
+    SELECT j.site_id, j.date, r.start
+    FROM journal_rounds r
+    JOIN journal j ON j.id = r.entry_id
+    WHERE j.date BETWEEN ? AND ?
+  `).bind(addDays(from, -1), addDays(to, 1)).all();
+
+  const bySite = {};
+  results.forEach(row => {
+    (bySite[row.site_id] = bySite[row.site_id] || []).push(getRoundWallMinutes(row.date, row.start, env));
+  });
+  return bySite;
+}
+
+/**
+ * Missed rounds of active schedules for shift dates from..to, only slots already due
+ * siteId - only schedules of this site, rounds count only at the schedule's site
+ * Returns [{ date, schedule_id, schedule_name, site_id, site_name, missed: ['22:00', ...] }]
+ */
+async function getRoundCompliance(from, to, env, siteId = null) {
+  const schedules = await getRoundSchedules(env, { activeOnly: true, siteId });
+  if (schedules.length === 0) {
+    return [];
+  }
+
+  const roundMinutes = await getRoundMinutesBySite(from, to, env);
+  const now = getLocalDateTime(env);
+  const nowMinutes = toWallMinutes(now.date, now.time);
+  const result = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    for (const schedule of schedules) {
+      const slots = getShiftSlots(schedule, date, env);
+      const missed = findMissedSlots(schedule, slots, roundMinutes[schedule.site_id] || [], nowMinutes, env);
+      if (missed.length > 0) {
+        result.push({
+          date,
+          schedule_id: schedule.id,
+          schedule_name: schedule.name,
+          site_id: schedule.site_id,
+          site_name: schedule.site_name,
+          missed: missed.map(slot => slot.time)
+        });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Cron check: alert the on-duty guard and admins about rounds that just became overdue
+ * Each slot is alerted once (round_alerts), slots older than ROUND_ALERT_LOOKBACK_MINUTES are skipped
+ */
+async function checkMissedRounds(env) {
+  try {
+    const schedules = await getRoundSchedules(env, { activeOnly: true });
+    if (schedules.length === 0) {
+      return;
+    }
+
+    const now = getLocalDateTime(env);
+    const nowMinutes = toWallMinutes(now.date, now.time);
+    const shiftDate = toShiftDate(now.date, now.time, env);
+    const from = addDays(shiftDate, -1);
+    const roundMinutes = await getRoundMinutesBySite(from, shiftDate, env);
+
+    for (const date of [from, shiftDate]) {
+      for (const schedule of schedules) {
+        const slots = getShiftSlots(schedule, date, env);
+        const missed = findMissedSlots(schedule, slots, roundMinutes[schedule.site_id] || [], nowMinutes, env)
+          .filter(slot => nowMinutes - (slot.at + schedule.tolerance_minutes) <= ROUND_ALERT_LOOKBACK_MINUTES);
+
+        for (const slot of missed) {
+          await sendMissedRoundAlert(schedule, date, slot, env);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Missed rounds check error:', error);
+  }
+}
+
+/**
+ * Send missed round alert once per slot, date - shift date of the slot
+ */
+async function sendMissedRoundAlert(schedule, date, slot, env) {
+  const { meta } = await env.DB.prepare(
+    'INSERT OR IGNORE INTO round_alerts (schedule_id, slot) VALUES (?, ?)'
+  ).bind(schedule.id, `${slot.date} ${slot.time}`).run();
+  if (!meta.changes) {
+    return;
+  }
+
+  // On duty - author of the latest entry of this shift at the schedule's site
+  const onDuty = await env.DB.prepare(
+    'SELECT telegram_id, surname FROM journal WHERE date = ? AND site_id = ? ORDER BY created_at DESC, id DESC LIMIT 1'
+  ).bind(date, schedule.site_id).first();
+
+  const recipients = new Set(await getAdminTelegramIds(env, schedule.site_id));
+  if (onDuty) {
+    recipients.add(String(onDuty.telegram_id));
+  }
+
+  let message_text = `⚠️ <b>Пропущен обход</b>\n\n`;
+  message_text += `🏢 ${escapeHtml(schedule.site_name || '—')}\n`;
+  message_text += `${escapeHtml(schedule.name)}: обход в ${slot.time} (${formatReportDate(slot.date)}) не отмечен в журнале`;
+  message_text += ` (допуск ±${schedule.tolerance_minutes} мин)\n`;
+  message_text += onDuty
+    ? `Смена: ${escapeHtml(onDuty.surname)}`
+    : `За смену ${formatReportDate(date)} в журнале нет записей`;
+
+  for (const chatId of recipients) {
+    try {
+      await sendTelegramMessage(chatId, message_text, env);
+    } catch (error) {
+      console.error('Missed round alert error:', chatId, error);
+    }
+  }
+}
+
+/**
+ * Reminder times from env.REMINDER_TIMES ("20:00,07:30"), invalid values skipped
+ */
+function getReminderTimes(env) {
+  return (env.REMINDER_TIMES || '')
+    .split(',')
+    .map(time => normalizeTime(time))
+    .filter(time => isValidTime(time));
+}
+
+/**
+ * Check HH:MM within window start..end (past midnight if end is earlier)
+ */
+function isTimeInWindow(time, start, end) {
+  return start <= end
+    ? time >= start && time < end
+    : time >= start || time < end;
+}
+
+/**
+ * Cron job: remind guards without a journal entry for the current shift
+ * Each reminder time is sent once per guard and shift, not during the guard's quiet hours
+ */
+async function sendJournalReminders(env) {
+  try {
+    const times = getReminderTimes(env);
+    if (times.length === 0) {
+      return;
+    }
+
+    const now = getLocalDateTime(env);
+    const nowMinutes = toWallMinutes(now.date, now.time);
+
+    for (const time of times) {
+      // Reminder due today, or yesterday if its time has not come yet (cron right after midnight)
+      const day = time <= now.time ? now.date : addDays(now.date, -1);
+      const elapsed = nowMinutes - toWallMinutes(day, time);
+      if (elapsed >= REMINDER_LOOKBACK_MINUTES) continue;
+
+      // Entry is expected for the shift this reminder time falls into
+      const date = toShiftDate(day, time, env);
+
+      // Only guards of active sites keep the journal, admins are not reminded
+      const { results } = await env.DB.prepare(`
+        SELECT u.telegram_id, u.surname, u.quiet_start, u.quiet_end
+        FROM users u
+        JOIN sites s ON s.id = u.site_id AND s.active = 1
+        WHERE u.reminders_enabled = 1 AND u.status = 'active' AND u.role = 'guard'
+          AND NOT EXISTS (SELECT 1 FROM journal j WHERE j.telegram_id = u.telegram_id AND j.date = ?)
+      `).bind(date).all();
+
+      for (const user of results) {
+        if (user.quiet_start && user.quiet_end && isTimeInWindow(now.time, user.quiet_start, user.quiet_end)) {
+          continue;
+        }
+        await sendJournalReminder(user, date, time, env);
+      }
+    }
+
+    // Drop old records
+    await env.DB.prepare(
+      'DELETE FROM sent_reminders WHERE date < ?'
+    ).bind(addDays(now.date, -SENT_REMINDERS_TTL_DAYS)).run();
+  } catch (error) {
+    console.error('Journal reminders error:', error);
+  }
+}
+
+/**
+ * Send one reminder with button to the date selection, once per guard, date and time
+ */
+async function sendJournalReminder(user, date, time, env) {
+  const { meta } = await env.DB.prepare(
+    'INSERT OR IGNORE INTO sent_reminders (telegram_id, date, time) VALUES (?, ?, ?)'
+  ).bind(user.telegram_id, date, time).run();
+  if (!meta.changes) {
+    return;
+  }
+
+  try {
+    await sendTelegramMessageWithButtons(
+      user.telegram_id,
+      `🔔 ${user.surname}, за ${formatReportDate(date)} в журнале еще нет записи.\n\nЗаполните журнал обходов.\nОтключить напоминания: /remind off`,
+      [[{ text: '📝 Заполнить журнал', callback_data: 'remind_start' }]],
+      env
+    );
+  } catch (error) {
+    console.error('Journal reminder error:', user.telegram_id, error);
+  }
+}
+
+/**
+ * Cron job: daily digest for the last shift at DIGEST_TIME, weekly digest for last week on Mondays
+ * Sent to DIGEST_CHAT_IDS (bot admins if not set) and site admins, once per chat and period
+ */
+async function sendScheduledDigests(env) {
+  try {
+    const time = normalizeTime(env.DIGEST_TIME || '08:00');
+    if (!isValidTime(time)) {
+      return;
+    }
+
+    const now = getLocalDateTime(env);
+    const elapsed = toWallMinutes(now.date, now.time) - toWallMinutes(now.date, time);
+    if (elapsed < 0 || elapsed >= DIGEST_LOOKBACK_MINUTES) {
+      return;
+    }
+
+    // Last finished shift, and last week when the current shift is Monday's
+    const shiftDate = toShiftDate(now.date, now.time, env);
+    const yesterday = addDays(shiftDate, -1);
+    const periods = [{ key: `day:${yesterday}`, from: yesterday, to: yesterday }];
+    if (new Date(`${shiftDate}T00:00:00Z`).getUTCDay() === 1) {
+      periods.push({ key: `week:${addDays(shiftDate, -7)}`, from: addDays(shiftDate, -7), to: yesterday });
+    }
+
+    // One message per chat and period with digests of all its sites
+    const sites = await getSites(env, { activeOnly: true });
+    for (const period of periods) {
+      const { results } = await env.DB.prepare(
+        'SELECT period FROM sent_digests WHERE period LIKE ?'
+      ).bind(`${period.key}:%`).all();
+      const sent = new Set(results.map(row => row.period));
+
+      const digests = new Map(); // chat id -> digest texts of its sites
+      for (const site of sites) {
+        const chatIds = (await getDigestChatIds(env, site.id))
+          .filter(chatId => !sent.has(`${period.key}:${chatId}`));
+        if (chatIds.length === 0) continue;
+
+        const text = await buildDigestText(period.from, period.to, env, site.id);
+        chatIds.forEach(chatId => digests.set(chatId, [...(digests.get(chatId) || []), text]));
+      }
+
+      for (const [chatId, texts] of digests) {
+        await sendDigest(chatId, `${period.key}:${chatId}`, texts, env);
+      }
+    }
+  } catch (error) {
+    console.error('Digest error:', error);
+  }
+}
+
+/**
+ * Send period digest to chat once, site digests joined into messages up to TELEGRAM_MESSAGE_LIMIT
+ * The period is claimed in sent_digests before sending and released if sending failed,
+ * so the next cron run within DIGEST_LOOKBACK_MINUTES retries it
+ */
+async function sendDigest(chatId, period, texts, env) {
+  const { meta } = await env.DB.prepare(
+    'INSERT OR IGNORE INTO sent_digests (period) VALUES (?)'
+  ).bind(period).run();
+  if (!meta.changes) {
+    return;
+  }
+
+  const messages = [];
+  for (const text of texts) {
+    const last = messages.length - 1;
+    if (last >= 0 && messages[last].length + text.length + 1 <= TELEGRAM_MESSAGE_LIMIT) {
+      messages[last] += `\n${text}`;
+    } else {
+      messages.push(text);
+    }
+  }
+
+  try {
+    for (const message of messages) {
+      const response = await sendTelegramMessage(chatId, message, env);
+      if (!response.ok) {
+        throw new Error(`Telegram sendMessage failed: ${response.status}`);
+      }
+    }
+  } catch (error) {
+    console.error('Digest send error:', chatId, error);
+    await env.DB.prepare('DELETE FROM sent_digests WHERE period = ?').bind(period).run();
+  }
+}
+
+/**
+ * Digest recipients of site: DIGEST_CHAT_IDS (otherwise bot admins) and admins of the site
+ */
+async function getDigestChatIds(env, siteId) {
+  if (!env.DIGEST_CHAT_IDS) {
+    return getAdminTelegramIds(env, siteId);
+  }
+
+  const { results } = await env.DB.prepare(
+    "SELECT telegram_id FROM users WHERE role = 'site_admin' AND status = 'active' AND site_id = ?"
+  ).bind(siteId).all();
+  const chatIds = env.DIGEST_CHAT_IDS
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id);
+  return [...new Set([...chatIds, ...results.map(row => String(row.telegram_id))])];
+}
+
+/**
+ * Round duration in minutes, start-only rounds get the default +10 min of convertToIntervals
+ */
+function getRoundMinutes(round) {
+  const [interval] = round.includes('-') ? [round] : convertToIntervals([round]);
+  const [start, end] = interval.split('-');
+  return (timeToMinutes(end) - timeToMinutes(start) + 1440) % 1440;
+}
+
+/**
+ * Build supervisor digest for dates from..to (Telegram HTML), siteId - one site, null - all
+ * Per guard: days with entries, rounds, patrol time, equipment not handed over;
+ * then days without entries, missed scheduled rounds and incidents
+ */
+async function buildDigestText(from, to, env, siteId = null) {
+  const equipment = await getEquipmentCatalogue(env);
+  const { results: users } = await env.DB.prepare(`
+    SELECT telegram_id, surname FROM users
+    WHERE status = 'active' ${siteId ? 'AND site_id = ?' : ''}
+    ORDER BY surname
+  `).bind(...(siteId ? [siteId] : [])).all();
+  const site = siteId ? await getSite(siteId, env) : null;
+
+  const guards = new Map(users.map(user => [user.telegram_id, {
+    surname: user.surname, days: 0, rounds: 0, minutes: 0, notHandedOver: []
+  }]));
+  const datesWithEntries = new Set();
+  const incidents = [];
+
+  for await (const entry of iterateJournalEntries({ from, to, siteId }, env)) {
+    if (!guards.has(entry.telegram_id)) {
+      guards.set(entry.telegram_id, { surname: entry.surname, days: 0, rounds: 0, minutes: 0, notHandedOver: [] });
+    }
+    const guard = guards.get(entry.telegram_id);
+    guard.days++;
+    guard.rounds += entry.rounds.length;
+    guard.minutes += entry.rounds.reduce((sum, round) => sum + getRoundMinutes(round), 0);
+    datesWithEntries.add(entry.date);
+
+    if (entry.items) {
+      getEntryEquipment(entry.items, getSiteEquipment(equipment, entry.site_id))
+        .filter(item => entry.items[item.key] === false)
+        .forEach(item => guard.notHandedOver.push(`${item.name} (${formatShortDate(entry.date)})`));
+    }
+
+    entry.events
+      .filter(event => event.category === 'incident')
+      .forEach(event => incidents.push({ date: entry.date, time: event.time, surname: entry.surname, description: event.description }));
+  }
+
+  const missingDays = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!datesWithEntries.has(date)) missingDays.push(formatShortDate(date));
+  }
+  const totalDays = missingDays.length + datesWithEntries.size;
+
+  let text = from === to
+    ? `📊 <b>Сводка за ${formatReportDate(from)}</b>\n`
+    : `📊 <b>Сводка за ${formatReportDate(from)} — ${formatReportDate(to)}</b>\n`;
+  text += site ? `🏢 ${escapeHtml(site.name)}\n\n` : '🏢 Все объекты\n\n';
+
+  for (const guard of guards.values()) {
+    if (guard.days === 0) {
+      text += `👤 <b>${escapeHtml(guard.surname)}</b> — нет записей\n`;
+      continue;
+    }
+    text += `👤 <b>${escapeHtml(guard.surname)}</b> — записей: ${guard.days}, обходов: ${guard.rounds}, время обходов: ${formatDuration(guard.minutes)}\n`;
+    if (guard.notHandedOver.length > 0) {
+      text += `   ⚠️ Не передано: ${escapeHtml(guard.notHandedOver.join(', '))}\n`;
+    }
+  }
+  if (guards.size === 0) {
+    text += 'Охранников нет\n';
+  }
+
+  text += missingDays.length > 0
+    ? `\n📭 Дни без записей (${missingDays.length} из ${totalDays}): ${missingDays.join(', ')}\n`
+    : '\n✅ Записи есть за все дни\n';
+
+  const compliance = await getRoundCompliance(from, to, env, siteId);
+  if (compliance.length > 0) {
+    text += '\n🕑 Пропущенные обходы:\n';
+    compliance.forEach(item => {
+      const siteName = site ? '' : `${escapeHtml(item.site_name || '—')}, `;
+      text += `${formatShortDate(item.date)} ${siteName}${escapeHtml(item.schedule_name)}: ${item.missed.join(', ')}\n`;
+    });
+  }
+
+  if (incidents.length > 0) {
+    text += `\n❗ Происшествия (${incidents.length}):\n`;
+    incidents.slice(0, DIGEST_EVENTS_LIMIT).forEach(event => {
+      text += `${formatShortDate(event.date)} ${event.time} ${escapeHtml(event.surname)} — ${escapeHtml(event.description)}\n`;
+    });
+    if (incidents.length > DIGEST_EVENTS_LIMIT) {
+      text += `…и еще ${incidents.length - DIGEST_EVENTS_LIMIT}\n`;
+    }
+  } else {
+    text += '\n✅ Происшествий нет\n';
+  }
+
+  return text;
+}
+
+/**
+ * Format YYYY-MM-DD as DD.MM for lists
+ */
+function formatShortDate(date) {
+  const [, month, day] = date.split('-');
+  return `${day}.${month}`;
+}
+
+/**
+ * Build Gemini schema with equipment fields from catalogue
+ */
+function buildJournalSchema(equipment) {
+  const active = equipment.filter(item => item.active);
+  if (active.length === 0) {
+    return JOURNAL_SCHEMA;
+  }
+
+  return {
+    ...JOURNAL_SCHEMA,
+    properties: {
+      ...JOURNAL_SCHEMA.properties,
+      items: {
+        type: "object",
+        description: "Equipment handover: true - handed over, false - NOT handed over. Include only items mentioned in the text",
+        properties: Object.fromEntries(
+          active.map(item => [item.key, { type: "boolean", description: item.label }])
+        )
+      }
+    }
+  };
+}
+
+/**
+ * Handle spoken edit/delete command - show preview and ask for confirmation
+ */
+async function handleVoiceCommand(telegramId, chatId, command, transcription, env) {
+  const entries = await getRecentEntries(telegramId, env);
+  const entry = entries[command.entryIndex - 1];
+
+  if (!entry) {
+    await sendTelegramMessageWithMenu(
+      chatId,
+      `❌ Запись ${command.entryIndex ?? ''} не найдена.\n\nОтправьте /list, чтобы увидеть номера записей.`,
+      env
+    );
+    return;
+  }
+
+  let message_text;
+  if (command.commandType === 'delete') {
+    message_text = `🗑 Удалить запись ${command.entryIndex} за ${entry.date}?`;
+  } else {
+    let updated;
+    try {
+      updated = applyVoiceCommand(entry, command, env);
+    } catch (error) {
+      await sendTelegramMessageWithMenu(chatId, `❌ ${escapeHtml(error.message)}`, env);
+      return;
+    }
+
+    message_text = `✏️ Изменить запись ${command.entryIndex} за ${entry.date}?\n\n`;
+    message_text += `Действие: ${describeVoiceCommand(command)}\n\n`;
+    message_text += formatConfirmation(entry.surname, entry.date, updated, [], '📝 После изменения');
+  }
+
+  // Confirmation button applies the command stored in session
+  await updateSession(telegramId, {
+    pendingAction: 'voice_command',
+    pendingData: { entryId: entry.id, command, transcription }
+  }, env);
+
+  await sendTelegramMessageWithButtons(chatId, message_text, [[
+    { text: '✅ Подтвердить', callback_data: 'vcmd_confirm' },
+    { text: '❌ Отмена', callback_data: 'vcmd_cancel' }
+  ]], env);
+}
+
+/**
+ * Apply confirmed voice command (button click)
+ */
+async function confirmVoiceCommand(telegramId, chatId, messageId, callbackQueryId, env) {
+  const session = await getSession(telegramId, env);
+
+  if (session?.pendingAction !== 'voice_command') {
+    await answerCallbackQuery(callbackQueryId, '⏱ Время подтверждения истекло', env);
+    await editTelegramMessageWithButtons(chatId, messageId, '⏱ Команда не выполнена: время подтверждения истекло', [], env);
+    return;
+  }
+
+  const { entryId, command, transcription } = session.pendingData;
+  await clearPendingAction(telegramId, env);
+
+  const entry = await getEntryById(entryId, env);
+
+  if (!entry || entry.telegram_id !== telegramId) {
+    await answerCallbackQuery(callbackQueryId, '❌ Запись не найдена', env);
+    return;
+  }
+
+  const revisionMeta = { actor: `tg:${telegramId}`, source: 'voice', transcription };
+
+  if (command.commandType === 'delete') {
+    await deleteJournalEntry(entry, revisionMeta, env);
+    await answerCallbackQuery(callbackQueryId, '✅ Удалено', env);
+    await editTelegramMessageWithButtons(chatId, messageId, `✅ Запись за ${entry.date} удалена`, [], env);
+    return;
+  }
+
+  // Re-apply to current state in case entry changed since preview
+  const updated = applyVoiceCommand(entry, command, env);
+  await updateJournalEntry(entry, updated, revisionMeta, env);
+
+  await answerCallbackQuery(callbackQueryId, '✅ Изменено', env);
+  await editTelegramMessageWithButtons(
+    chatId,
+    messageId,
+    formatConfirmation(entry.surname, entry.date, updated, [], '✅ Запись обновлена'),
+    [],
+    env
+  );
+}
+
+/**
+ * Cancel pending voice command (button click)
+ */
+async function cancelVoiceCommand(telegramId, chatId, messageId, callbackQueryId, env) {
+  await clearPendingAction(telegramId, env);
+  await answerCallbackQuery(callbackQueryId, 'Отменено', env);
+  await editTelegramMessageWithButtons(chatId, messageId, '❌ Команда отменена', [], env);
+}
+
+/**
+ * Apply edit command to entry rounds/events, returns { rounds, events }
+ */
+function applyVoiceCommand(entry, command, env) {
+  let rounds = [...entry.rounds];
+  let events = [...entry.events];
+
+  const times = (command.rounds || []).map(normalizeTime);
+  if (times.some(time => !isValidTime(time))) {
+    throw new Error('Не удалось распознать время обхода');
+  }
+
+  const commandEvents = (command.events || []).map(event => ({
+    time: normalizeTime(event.time),
+    description: (event.description || '').trim()
+  }));
+  if (commandEvents.some(event => !isValidTime(event.time))) {
+    throw new Error('Не удалось распознать время события');
+  }
+
+  switch (command.action) {
+    case 'add_rounds':
+      rounds = sortRounds([...new Set([...rounds, ...convertToIntervals(times)])], env);
+      break;
+    case 'remove_rounds':
+      // Round is matched by start time
+      rounds = rounds.filter(interval => !times.includes(interval.split('-')[0]));
+      break;
+    case 'replace_rounds':
+      rounds = sortRounds(convertToIntervals(times), env);
+      break;
+    case 'add_events':
+      events = [...events, ...commandEvents.filter(event => event.description)]
+        .sort((a, b) => getShiftMinutes(a.time, env) - getShiftMinutes(b.time, env));
+      break;
+    case 'remove_events':
+      // Event is matched by time, and by description when given
+      events = events.filter(event => !commandEvents.some(removed =>
+        removed.time === event.time &&
+        (!removed.description || event.description.toLowerCase().includes(removed.description.toLowerCase()))
+      ));
+      break;
+    case 'replace_events':
+      events = commandEvents.filter(event => event.description);
+      break;
+    default:
+      throw new Error('Не удалось понять, что изменить в записи');
+  }
+
+  return { rounds, events };
+}
+
+/**
+ * Describe edit command for confirmation message
+ */
+function describeVoiceCommand(command) {
+  const times = (command.rounds || []).map(normalizeTime).join(', ');
+  const events = (command.events || [])
+    .map(event => `${normalizeTime(event.time)} ${event.description || ''}`.trim())
+    .join('; ');
+
+  const descriptions = {
+    add_rounds: `добавить обходы ${times}`,
+    remove_rounds: `убрать обходы ${times}`,
+    replace_rounds: `заменить обходы на ${times}`,
+    add_events: `добавить события: ${events}`,
+    remove_events: `убрать события: ${events}`,
+    replace_events: `заменить события на: ${events}`
+  };
+
+  return descriptions[command.action] || command.action;
+}
+
+/**
+ * Normalize time "9:05" -> "09:05"
+ */
+function normalizeTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2})[:.](\d{2})$/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : String(value || '').trim();
+}
+
+/**
+ * Download file from Telegram
+ */
+async function downloadTelegramFile(fileId, env) {
+  // Get file path
+  const fileInfoResponse = await fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/getFile?file_id=${fileId}`
+  );
+  const fileInfo = await fileInfoResponse.json();
+
+  if (!fileInfo.ok) {
+    throw new Error('Failed to get file info from Telegram');
+  }
+
+  // Download file
+  const fileUrl = `https://api.telegram.org/file/bot${env.TELEGRAM_BOT_TOKEN}/${fileInfo.result.file_path}`;
+  const fileResponse = await fetch(fileUrl);
+  return await fileResponse.arrayBuffer();
+}
+
+/**
+ * Transcribe audio using Gemini
+ */
+async function transcribeAudio(audioBuffer, env) {
+  // Convert audio to base64
+  const base64Audio = arrayBufferToBase64(audioBuffer);
+
+  markUpdateCommitted(env);
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${env.GEMINI_API_KEY}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{
+          parts: [
+            {
+              inline_data: {
+                mime_type: "audio/ogg",
+                data: base64Audio
+              }
+            },
+            {
+              text: "Транскрибируй это голосовое сообщение на русском языке. Верни только текст без комментариев."
+            }
+          ]
+        }]
+      })
+    }
+  );
+
+  const data = await response.json();
+  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
+    throw new Error(`Gemini transcription failed: ${JSON.stringify(data)}`);
+  }
+
+  return data.candidates[0].content.parts[0].text;
+}
+
+/**
+ * Parse voice command for editing/deleting entries
+ */
+async function parseVoiceCommand(text, env) {
+  markUpdateCommitted(env);
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${env.GEMINI_API_KEY}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{
+          parts: [{
+            text: `Проанализируй команду пользователя и определи намерение:
+
+Команда: "${text}"
+
+Возможные типы команд:
+- "edit" - изменить существующую запись (добавить/убрать обходы или события)
+- "delete" - удалить запись
+- "add_journal" - создать обычную запись журнала (обходы и события)
+
+Номер записи (entryIndex) - порядковый номер из списка /list (1 - самая свежая).
+Если номер записи не назван - это "add_journal".
+
+Примеры:
+"Измени запись 2, убери время 21:20" -> edit, entryIndex: 2, action: remove_rounds, rounds: ["21:20"]
+"Добавь к записи 1 обход 09:30" -> edit, entryIndex: 1, action: add_rounds, rounds: ["09:30"]
+"Удали запись 3" -> delete, entryIndex: 3
+"В записи 1 убери событие садовники в 07:05" -> edit, entryIndex: 1, action: remove_events, events: [{time: "07:05", description: "садовники"}]
+"Обходы 09:10, 12:15" -> add_journal (обычная запись)
+
+Верни структурированный JSON согласно схеме.`
+          }]
+        }],
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: VOICE_COMMAND_SCHEMA
+        }
+      })
+    }
+  );
+
+  const data = await response.json();
+  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
+    throw new Error(`Voice command parsing failed: ${JSON.stringify(data)}`);
+  }
+
+  return JSON.parse(data.candidates[0].content.parts[0].text);
+}
+
+/**
+ * Convert single start times to intervals (add +10 minutes for end time)
+ */
+function convertToIntervals(startTimes) {
+  return startTimes.map(startTime => {
+    const [hours, minutes] = startTime.split(':').map(Number);
+    const endMinutes = minutes + 10;
+
+    if (endMinutes < 60) {
+      return `${startTime}-${String(hours).padStart(2, '0')}:${String(endMinutes).padStart(2, '0')}`;
+    } else {
+      const nextHour = hours + 1;
+      const remainingMinutes = endMinutes - 60;
+      return `${startTime}-${String(nextHour % 24).padStart(2, '0')}:${String(remainingMinutes).padStart(2, '0')}`;
+    }
+  });
+}
+
+/**
+ * Parse transcription using Gemini structured output, siteId - post whose equipment is asked for
+ */
+async function parseTranscription(text, env, siteId) {
+  const equipment = await getEquipmentCatalogue(env, { activeOnly: true, siteId });
+
+  markUpdateCommitted(env);
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${env.GEMINI_API_KEY}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{
+          parts: [{
+            text: `Из следующего текста извлеки:
+1. ТОЛЬКО ВРЕМЯ НАЧАЛА обходов (список времен в формате HH:MM, без времени конца)
+2. События (что произошло и во сколько)
+3. Передачу оборудования (items): true - передано, false - НЕ передано. Указывай только упомянутые предметы.
+   Предметы: ${equipment.map(item => `${item.key} - ${item.label}`).join(', ')}
+
+Примеры:
+- "Обходы девять десять, двенадцать пятнадцать" → rounds: ["09:10", "12:15"]
+- "Обходы 10:10, 12:25" → rounds: ["10:10", "12:25"]
+- Не вводи никакие интервалы сам! Бот автоматически добавит +10 минут для каждого обхода.
+- "Ключи не передал" → items: { "<key ключей>": false }
+- "Всё оборудование передано" → все предметы true
+- replaceDay: true ТОЛЬКО если явно просят заменить/перезаписать всю запись за день ("перезапиши день", "замени всё за сегодня"), иначе false
+
+Текст: "${text}"
+
+Верни структурированный JSON согласно схеме.`
+          }]
+        }],
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: buildJournalSchema(equipment)
+        }
+      })
+    }
+  );
+
+  const data = await response.json();
+  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
+    throw new Error(`Gemini parsing failed: ${JSON.stringify(data)}`);
+  }
+
+  const parsed = JSON.parse(data.candidates[0].content.parts[0].text);
+
+  // Convert start times to intervals (add +10 minutes)
+  if (parsed.rounds && parsed.rounds.length > 0) {
+    parsed.rounds = convertToIntervals(parsed.rounds);
+  }
+
+  return parsed;
+}
+
+/**
+ * Send message to Telegram, returns the API response (callers that need delivery check response.ok)
+ */
+async function sendTelegramMessage(chatId, text, env) {
+  return fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: text,
+        parse_mode: 'HTML'
+      })
+    }
+  );
+}
+
+/**
+ * Get keyboard menu buttons (persistent menu)
+ */
+function getMainMenuKeyboard() {
+  return {
+    keyboard: [
+      [{ text: '🎙️ Start' }, { text: '✏️ Edit' }, { text: 'ℹ️ Help' }]
+    ],
+    resize_keyboard: true,
+    one_time_keyboard: false
+  };
+}
+
+/**
+ * Send message with persistent menu
+ */
+async function sendTelegramMessageWithMenu(chatId, text, env) {
+  await fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: text,
+        parse_mode: 'HTML',
+        reply_markup: getMainMenuKeyboard()
+      })
+    }
+  );
+}
+
+/**
+ * Send message with inline keyboard buttons
+ */
+async function sendTelegramMessageWithButtons(chatId, text, buttons, env) {
+  await fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: text,
+        reply_markup: {
+          inline_keyboard: buttons
+        }
+      })
+    }
+  );
+}
+
+/**
+ * Send file as document (multipart upload)
+ */
+async function sendTelegramDocument(chatId, file, fileName, caption, env) {
+  const form = new FormData();
+  form.append('chat_id', String(chatId));
+  form.append('document', file, fileName);
+  if (caption) {
+    form.append('caption', caption);
+  }
+
+  const response = await fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendDocument`,
+    {
+      method: 'POST',
+      body: form
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Telegram sendDocument failed: ${response.status}`);
+  }
+}
+
+/**
+ * Edit message text and inline keyboard (after button click)
+ */
+async function editTelegramMessageWithButtons(chatId, messageId, text, buttons, env) {
+  await fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/editMessageText`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        message_id: messageId,
+        text: text,
+        reply_markup: {
+          inline_keyboard: buttons
+        }
+      })
+    }
+  );
+}
+
+/**
+ * Answer callback query (button click)
+ */
+async function answerCallbackQuery(callbackQueryId, text, env) {
+  await fetch(
+    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/answerCallbackQuery`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        callback_query_id: callbackQueryId,
+        text: text || '✅'
+      })
+    }
+  );
+}
+
+/**
+ * Handle callback query (button clicks)
+ */
+async function handleCallbackQuery(callbackQuery, env) {
+  const telegramId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  const data = callbackQuery.data;
+
+  // Parse callback data - check more specific first
+  if (data.startsWith('select_date_')) {
+    // Date selected from /start menu
+    const date = data.substring(12);
+    await handleDateSelected(telegramId, chatId, date, callbackQuery.id, env);
+  } else if (data.startsWith('edit_rounds_')) {
+    // Edit rounds for specific date
+    const date = data.substring(12);
+    await startEditRounds(telegramId, chatId, date, callbackQuery.id, env);
+  } else if (data.startsWith('edit_events_')) {
+    // Edit events for specific date
+    const date = data.substring(12);
+    await startEditEvents(telegramId, chatId, date, callbackQuery.id, env);
+  } else if (data.startsWith('edit_items_')) {
+    // Show equipment toggles for specific date
+    const date = data.substring(11);
+    await showItemsToggles(telegramId, chatId, date, callbackQuery.id, env);
+  } else if (data.startsWith('reg_ok_') || data.startsWith('reg_no_')) {
+    // Approve / reject registration request (admins)
+    await handleRegistrationButton(
+      telegramId, chatId, callbackQuery.message.message_id,
+      Number(data.substring(7)), data.startsWith('reg_ok_'), callbackQuery.id, env
+    );
+  } else if (data === 'choose_post' || data.startsWith('select_post_')) {
+    // Post for the current shift: list of sites or picked site
+    await handlePostButton(
+      telegramId, chatId, callbackQuery.message.message_id,
+      data === 'choose_post' ? null : Number(data.substring(12)), callbackQuery.id, env
+    );
+  } else if (/^ho_(accept|decline|revoke)_\d+$/.test(data)) {
+    // Incoming guard accepts / declines handover, outgoing guard revokes it
+    const [, action, id] = data.split('_');
+    await handleHandoverAnswerButton(
+      telegramId, chatId, callbackQuery.message.message_id,
+      action, Number(id), callbackQuery.id, env
+    );
+  } else if (data.startsWith('ho_')) {
+    // Handover draft: equipment toggles, no issues, incoming guard, cancel
+    await handleHandoverDraftButton(telegramId, chatId, callbackQuery.message.message_id, data, callbackQuery.id, env);
+  } else if (data === 'remind_start') {
+    // Journal reminder button - same date selection as /start
+    await handleReminderButton(telegramId, chatId, callbackQuery.id, env);
+  } else if (data === 'vcmd_confirm') {
+    // Confirm spoken edit/delete command
+    await confirmVoiceCommand(telegramId, chatId, callbackQuery.message.message_id, callbackQuery.id, env);
+  } else if (data === 'vcmd_cancel') {
+    // Cancel spoken edit/delete command
+    await cancelVoiceCommand(telegramId, chatId, callbackQuery.message.message_id, callbackQuery.id, env);
+  } else if (data.startsWith('restore_')) {
+    // Restore entry from /history revision
+    const revisionId = Number(data.substring(8));
+    await handleRestoreButton(telegramId, chatId, revisionId, callbackQuery.id, env);
+  } else if (data.startsWith('replace_')) {
+    // Replace whole day with the last merged message
+    const entryId = Number(data.substring(8));
+    await replaceDayWithLastMessage(telegramId, chatId, callbackQuery.message.message_id, entryId, callbackQuery.id, env);
+  } else if (data.startsWith('item_')) {
+    // Toggle equipment item: item_<entryId>_<key>
+    const [entryId, ...keyParts] = data.substring(5).split('_');
+    await toggleEntryItem(
+      telegramId, chatId, callbackQuery.message.message_id,
+      Number(entryId), keyParts.join('_'), callbackQuery.id, env
+    );
+  } else if (data.startsWith('edit_')) {
+    // Edit specific date (show options)
+    const date = data.substring(5);
+    await showEditOptions(telegramId, chatId, date, callbackQuery.id, env);
+  }
+}
+
+/**
+ * Handle journal reminder button - show date selection
+ */
+async function handleReminderButton(telegramId, chatId, callbackQueryId, env) {
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await answerCallbackQuery(callbackQueryId, '❌ Пользователь не найден', env);
+    return;
+  }
+
+  await answerCallbackQuery(callbackQueryId, null, env);
+  await sendDateSelection(telegramId, chatId, user.surname, env);
+}
+
+/**
+ * Handle date selection from /start menu
+ */
+async function handleDateSelected(telegramId, chatId, date, callbackQueryId, env) {
+  const user = await env.DB.prepare(
+    'SELECT surname FROM users WHERE telegram_id = ?'
+  ).bind(telegramId).first();
+
+  if (!user) {
+    await answerCallbackQuery(callbackQueryId, '❌ Пользователь не найден', env);
+    return;
+  }
+
+  // Format date for display (2025-12-11 -> 11.12.2025)
+  const [year, month, day] = date.split('-');
+  const displayDate = `${day}.${month}.${year}`;
+
+  // Remember date for the next voice/text entries
+  await updateSession(telegramId, { selectedDate: date, pendingAction: null, pendingData: null }, env);
+
+  await answerCallbackQuery(callbackQueryId, `✅ Выбрана дата: ${displayDate}`, env);
+
+  const helpText = `📅 Дата: <b>${displayDate}</b>
+
+🎙️ Отправьте голосовое сообщение или текст с информацией:
+
+<b>Пример:</b>
+"Обходы 10:10, 12:25, 16:30. Садовники приехали 07:05, уехали 15:40"
+
+<b>Как это работает:</b>
+• Назовите только ВРЕМЯ НАЧАЛА обходов (10:10)
+• Бот автоматически добавит +10 минут (10:10-10:20)
+• События указывайте со временем и описанием
+
+Готово? Отправляй!`;
+
+  await sendTelegramMessageWithMenu(chatId, helpText, env);
+}
+
+/**
+ * Show edit options (rounds/events/all)
+ */
+async function showEditOptions(telegramId, chatId, date, callbackQueryId, env) {
+  // Get entry
+  const entry = await getEntryByDate(telegramId, date, env);
+
+  if (!entry) {
+    await answerCallbackQuery(callbackQueryId, '❌ Запись не найдена', env);
+    return;
+  }
+
+  const { rounds, events } = entry;
+
+  let message_text = `✏️ Редактирование записи за ${date}\n\n`;
+  message_text += `📝 Текущие данные:\n\n`;
+  message_text += `🚶 Интервалы обходов:\n`;
+  if (rounds.length > 0) {
+    rounds.forEach(interval => message_text += `  • ${interval}\n`);
+  } else {
+    message_text += 'нет\n';
+  }
+  message_text += `\n📋 События:\n`;
+  if (events.length > 0) {
+    events.forEach(e => message_text += `  • ${e.time} - ${e.description}\n`);
+  } else {
+    message_text += 'нет\n';
+  }
+  message_text += `\nВыберите что изменить:`;
+
+  const buttons = [
+    [{ text: '🚶 Обходы', callback_data: `edit_rounds_${date}` }],
+    [{ text: '📋 События', callback_data: `edit_events_${date}` }],
+    [{ text: '🧰 Оборудование', callback_data: `edit_items_${date}` }]
+  ];
+
+  await answerCallbackQuery(callbackQueryId, '', env);
+  await sendTelegramMessageWithButtons(chatId, message_text, buttons, env);
+}
+
+/**
+ * Start editing rounds
+ */
+async function startEditRounds(telegramId, chatId, date, callbackQueryId, env) {
+  console.log('startEditRounds:', { telegramId, date });
+
+  const entry = await getEntryByDate(telegramId, date, env);
+
+  console.log('Entry found:', entry);
+
+  if (!entry) {
+    await answerCallbackQuery(callbackQueryId, `❌ Запись не найдена (${date})`, env);
+    await sendTelegramMessage(
+      chatId,
+      `❌ Debug: Не найдена запись для telegram_id=${telegramId}, date=${date}`,
+      env
+    );
+    return;
+  }
+
+  const { rounds } = entry;
+
+  let message_text = `✏️ Редактирование интервалов обходов за ${date}\n\n`;
+  message_text += `Текущие интервалы:\n`;
+  if (rounds.length > 0) {
+    rounds.forEach(interval => message_text += `  • ${interval}\n`);
+  } else {
+    message_text += 'нет\n';
+  }
+  message_text += `\nОтправьте ТОЛЬКО ВРЕМЯ НАЧАЛА обходов в формате:\n`;
+  message_text += `09:10, 12:15, 16:30\n\n`;
+  message_text += `Бот автоматически добавит +10 минут для каждого обхода.`;
+
+  // Next plain message will be taken as new rounds
+  await updateSession(telegramId, { pendingAction: 'edit_rounds', pendingData: { date } }, env);
+
+  await answerCallbackQuery(callbackQueryId, '✏️ Отправьте новые времена обходов', env);
+  await sendTelegramMessage(chatId, message_text, env);
+}
+
+/**
+ * Start editing events
+ */
+async function startEditEvents(telegramId, chatId, date, callbackQueryId, env) {
+  console.log('startEditEvents:', { telegramId, date });
+
+  const entry = await getEntryByDate(telegramId, date, env);
+
+  console.log('Entry found:', entry);
+
+  if (!entry) {
+    await answerCallbackQuery(callbackQueryId, `❌ Запись не найдена (${date})`, env);
+    await sendTelegramMessage(
+      chatId,
+      `❌ Debug: Не найдена запись для telegram_id=${telegramId}, date=${date}`,
+      env
+    );
+    return;
+  }
+
+  const { events } = entry;
+
+  let message_text = `✏️ Редактирование событий за ${date}\n\n`;
+  message_text += `Текущие события:\n`;
+  if (events.length > 0) {
+    events.forEach(e => message_text += `  • ${e.time} - ${e.description}\n`);
+  } else {
+    message_text += 'нет\n';
+  }
+  message_text += `\nОтправьте новые события в формате:\n`;
+  message_text += `Садовники 07:05, Ролеты 20:00`;
+
+  // Next plain message will be taken as new events
+  await updateSession(telegramId, { pendingAction: 'edit_events', pendingData: { date } }, env);
+
+  await answerCallbackQuery(callbackQueryId, '✏️ Отправьте новые события', env);
+  await sendTelegramMessage(chatId, message_text, env);
+}
+
+/**
+ * Show equipment toggles for entry
+ */
+async function showItemsToggles(telegramId, chatId, date, callbackQueryId, env) {
+  const entry = await getEntryByDate(telegramId, date, env);
+
+  if (!entry) {
+    await answerCallbackQuery(callbackQueryId, '❌ Запись не найдена', env);
+    return;
+  }
+
+  const equipment = await getEquipmentCatalogue(env, { siteId: entry.site_id });
+  const items = mergeItems(parseItems(entry.items), null, equipment);
+  const message_text = formatConfirmation(entry.surname, entry.date, {
+    rounds: entry.rounds,
+    events: entry.events,
+    items
+  }, equipment, `🧰 Оборудование за ${date}`);
+
+  await answerCallbackQuery(callbackQueryId, '', env);
+  await sendTelegramMessageWithButtons(
+    chatId,
+    `${message_text}\nНажмите на предмет, чтобы изменить отметку о передаче:`,
+    getItemsKeyboard(entry.id, items, equipment),
+    env
+  );
+}
+
+/**
+ * Toggle equipment item for entry (button click)
+ */
+async function toggleEntryItem(telegramId, chatId, messageId, entryId, key, callbackQueryId, env) {
+  const entry = await getEntryById(entryId, env);
+  const equipment = entry ? await getEquipmentCatalogue(env, { siteId: entry.site_id }) : [];
+  const item = equipment.find(i => i.key === key);
+
+  if (!entry || entry.telegram_id !== telegramId || !item) {
+    await answerCallbackQuery(callbackQueryId, '❌ Запись не найдена', env);
+    return;
+  }
+
+  const current = mergeItems(parseItems(entry.items), null, equipment);
+  const items = mergeItems(current, { [key]: !current[key] }, equipment);
+
+  await updateJournalEntry(entry, { items }, { actor: `tg:${telegramId}`, source: 'command' }, env);
+
+  const message_text = formatConfirmation(entry.surname, entry.date, {
+    rounds: entry.rounds,
+    events: entry.events,
+    items
+  }, equipment, '✅ Запись обновлена');
+
+  await answerCallbackQuery(
+    callbackQueryId,
+    `${item.label}: ${getItemStateText(items[key])}`,
+    env
+  );
+  await editTelegramMessageWithButtons(
+    chatId,
+    messageId,
+    `${message_text}\nНажмите на предмет, чтобы изменить отметку о передаче:`,
+    getItemsKeyboard(entry.id, items, equipment),
+    env
+  );
+}
+
+/**
+ * Format confirmation message
+ */
+function formatConfirmation(surname, date, data, equipment = [], title = '✅ Запись добавлена') {
+  let message = `${title}:\n\n`;
+  message += `👤 ${surname}\n`;
+  message += `📅 ${date}\n\n`;
+
+  if (data.rounds && data.rounds.length > 0) {
+    message += `🚶 Интервалы обходов:\n`;
+    data.rounds.forEach(interval => {
+      message += `  • ${interval}\n`;
+    });
+    message += '\n';
+  }
+
+  if (data.events && data.events.length > 0) {
+    message += `📝 События:\n`;
+    data.events.forEach(event => {
+      message += `  • ${event.time} - ${event.description}\n`;
+    });
+    message += '\n';
+  }
+
+  const entryEquipment = getEntryEquipment(data.items, equipment);
+  if (data.items && entryEquipment.length > 0) {
+    const handedOver = entryEquipment.filter(item => data.items[item.key] === true);
+    const missing = entryEquipment.filter(item => data.items[item.key] === false);
+    const unmarked = entryEquipment.filter(item => typeof data.items[item.key] !== 'boolean');
+
+    message += `🧰 Оборудование:\n`;
+    message += `  ✅ Передано: ${handedOver.length > 0 ? handedOver.map(item => item.label).join(', ') : 'ничего'}\n`;
+    if (missing.length > 0) {
+      message += `  ⚠️ Не передано: ${missing.map(item => item.label).join(', ')}\n`;
+    }
+    if (unmarked.length > 0) {
+      message += `  ▫️ Не отмечено: ${unmarked.map(item => item.label).join(', ')}\n`;
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Get journal entries (API endpoint)
+ */
+async function handleGetJournal(url, env, corsHeaders, siteId) {
+  const params = url.searchParams;
+  const { filter, error: filterError } = parseJournalFilter(params, siteId);
+  if (filterError) {
+    return jsonResponse({ error: filterError }, corsHeaders, 400);
+  }
+
+  const limit = params.has('limit') ? Number(params.get('limit')) : JOURNAL_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > JOURNAL_PAGE_MAX) {
+    return jsonResponse({ error: `Query parameter "limit" must be 1-${JOURNAL_PAGE_MAX}` }, corsHeaders, 400);
+  }
+
+  // Cursor is "<date>_<id>" of the last entry on the previous page
+  const cursor = params.get('cursor');
+  const cursorMatch = cursor ? cursor.match(/^(\d{4}-\d{2}-\d{2})_(\d+)$/) : null;
+  if (cursor && !cursorMatch) {
+    return jsonResponse({ error: 'Query parameter "cursor" is invalid' }, corsHeaders, 400);
+  }
+
+  try {
+    const entries = [];
+    let hasMore = false;
+    const iterator = iterateJournalEntries(filter, env, {
+      descending: true,
+      after: cursorMatch ? { date: cursorMatch[1], id: Number(cursorMatch[2]) } : null
+    });
+
+    for await (const entry of iterator) {
+      if (entries.length === limit) {
+        hasMore = true;
+        break;
+      }
+      entries.push(entry);
+    }
+
+    const last = entries[entries.length - 1];
+    return new Response(JSON.stringify({
+      entries,
+      next_cursor: hasMore ? `${last.date}_${last.id}` : null
+    }), {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+/**
+ * Update journal entry by id (API endpoint)
+ * Body: { id, date?, rounds?, events? } - only given fields are changed
+ */
+async function handleUpdateJournal(request, env, corsHeaders, auth) {
+  try {
+    let payload;
+    try {
+      payload = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+    }
+
+    const entry = Number.isInteger(payload?.id) ? await getEntryById(payload.id, env) : null;
+    const equipment = await getEquipmentCatalogue(env, { siteId: entry?.site_id });
+    const validationError = validateJournalPayload(payload, equipment);
+    if (validationError) {
+      return jsonResponse({ error: validationError }, corsHeaders, 400);
+    }
+
+    if (!entry || !hasSiteAccess(auth, entry.site_id)) {
+      return jsonResponse({ error: 'Entry not found' }, corsHeaders, 404);
+    }
+
+    // Moving to another date - the guard must not have an entry there already
+    if (payload.date !== undefined && payload.date !== entry.date) {
+      const conflict = await env.DB.prepare(
+        'SELECT id FROM journal WHERE telegram_id = ? AND date = ? AND id != ?'
+      ).bind(entry.telegram_id, payload.date, entry.id).first();
+
+      if (conflict) {
+        return jsonResponse({ error: `Entry for ${payload.date} already exists` }, corsHeaders, 409);
+      }
+    }
+
+    const updated = await updateJournalEntry(entry, {
+      date: payload.date,
+      rounds: payload.rounds,
+      events: payload.events,
+      // Items are merged - only given keys change
+      items: payload.items !== undefined
+        ? mergeItems(parseItems(entry.items), payload.items, equipment)
+        : undefined
+    }, { actor: auth.sub, source: 'web' }, env);
+
+    return jsonResponse({
+      id: entry.id,
+      date: updated.date,
+      rounds: updated.rounds,
+      events: updated.events,
+      items: parseItems(updated.items)
+    }, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Get revision history of entry (API endpoint)
+ * Query: ?id=<entry id>
+ */
+async function handleGetHistory(url, env, corsHeaders, auth) {
+  const entryId = Number(url.searchParams.get('id'));
+  if (!Number.isInteger(entryId) || entryId <= 0) {
+    return jsonResponse({ error: 'Query parameter "id" must be an integer' }, corsHeaders, 400);
+  }
+
+  try {
+    if (!hasSiteAccess(auth, await getEntrySiteId(entryId, env))) {
+      return jsonResponse([], corsHeaders);
+    }
+
+    const revisions = await getRevisions('entry_id = ?', [entryId], 100, env);
+    return jsonResponse(revisions, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Restore entry from revision (API endpoint)
+ * Body: { revision_id }
+ */
+async function handleRestoreRevision(request, env, corsHeaders, auth) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
+
+  if (!Number.isInteger(payload?.revision_id)) {
+    return jsonResponse({ error: 'Field "revision_id" must be an integer' }, corsHeaders, 400);
+  }
+
+  try {
+    const revision = await env.DB.prepare(
+      'SELECT id, entry_id, telegram_id, snapshot FROM journal_revisions WHERE id = ?'
+    ).bind(payload.revision_id).first();
+
+    if (!revision) {
+      return jsonResponse({ error: 'Revision not found' }, corsHeaders, 404);
+    }
+    if (!hasSiteAccess(auth, await getEntrySiteId(revision.entry_id, env))) {
+      return forbiddenResponse(corsHeaders);
+    }
+    if (!revision.snapshot) {
+      return jsonResponse({ error: 'Revision has no saved content' }, corsHeaders, 400);
+    }
+
+    // The guard must not have another entry on the date of the revision
+    const { date } = JSON.parse(revision.snapshot);
+    const conflict = await env.DB.prepare(
+      'SELECT id FROM journal WHERE telegram_id = ? AND date = ? AND id != ?'
+    ).bind(revision.telegram_id, date, revision.entry_id).first();
+    if (conflict) {
+      return jsonResponse({ error: `Entry for ${date} already exists` }, corsHeaders, 409);
+    }
+
+    const entry = await restoreRevision(payload.revision_id, { actor: auth.sub, source: 'web' }, env);
+    return jsonResponse({
+      id: entry.id,
+      date: entry.date,
+      rounds: entry.rounds,
+      events: entry.events,
+      items: parseItems(entry.items)
+    }, corsHeaders);
+  } catch (error) {
+    // Entry for the date created after the check above (unique telegram_id + date)
+    const status = /UNIQUE constraint failed/.test(error.message) ? 409 : 500;
+    return jsonResponse({ error: error.message }, corsHeaders, status);
+  }
+}
+
+/**
+ * Full-text search over events (API endpoint)
+ * Query: ?q=<text>&from=&to=&telegram_id=&limit=
+ */
+async function handleSearchEvents(url, env, corsHeaders, siteId) {
+  const params = url.searchParams;
+  const q = params.get('q') || '';
+  const { filter, error: filterError } = parseJournalFilter(params, siteId);
+  if (filterError) {
+    return jsonResponse({ error: filterError }, corsHeaders, 400);
+  }
+  if (!buildFtsQuery(q)) {
+    return jsonResponse({ error: 'Query parameter "q" must contain words to search' }, corsHeaders, 400);
+  }
+
+  const limit = params.has('limit') ? Number(params.get('limit')) : JOURNAL_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > JOURNAL_PAGE_MAX) {
+    return jsonResponse({ error: `Query parameter "limit" must be 1-${JOURNAL_PAGE_MAX}` }, corsHeaders, 400);
+  }
+
+  try {
+    const results = await searchEvents(q, { ...filter, limit }, env);
+    return jsonResponse(results, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Build FTS5 MATCH query: every word must match as prefix ("садовник" finds "садовники")
+ * Returns null if text has no words
+ */
+function buildFtsQuery(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!words) {
+    return null;
+  }
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * Search event descriptions in journal_events_fts, newest first
+ * options: { from?, to?, telegramId?, siteId?, limit }
+ */
+async function searchEvents(text, { from, to, telegramId, siteId, limit }, env) {
+  const conditions = ['journal_events_fts MATCH ?'];
+  const params = [buildFtsQuery(text)];
+  if (siteId) {
+    conditions.push('entry_id IN (SELECT id FROM journal WHERE site_id = ?)');
+    params.push(siteId);
+  }
+  if (from) {
+    conditions.push('date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date <= ?');
+    params.push(to);
+  }
+  if (telegramId) {
+    conditions.push('telegram_id = ?');
+    params.push(Number(telegramId));
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT entry_id, date, time, telegram_id, surname, description
+    FROM journal_events_fts
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY date DESC, time DESC
+    LIMIT ?
+  `).bind(...params, limit).all();
+
+  return results;
+}
+
+/**
+ * Get applied and pending migrations (API endpoint)
+ */
+async function handleGetMigrations(env, corsHeaders) {
+  try {
+    return jsonResponse(await getMigrationStatus(env), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Apply pending migrations (API endpoint)
+ * Body (optional): { baseline: N } - mark versions up to N as applied without running them,
+ * for a database that was set up by hand before schema_migrations existed
+ */
+async function handleApplyMigrations(request, env, corsHeaders) {
+  let payload = {};
+  try {
+    const body = await request.text();
+    payload = body ? JSON.parse(body) : {};
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
+
+  const lastVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+  if (payload.baseline !== undefined
+    && (!Number.isInteger(payload.baseline) || payload.baseline < 0 || payload.baseline > lastVersion)) {
+    return jsonResponse({ error: `Field "baseline" must be an integer 0-${lastVersion}` }, corsHeaders, 400);
+  }
+
+  try {
+    const result = await applyMigrations(env, { baseline: payload.baseline });
+    const status = await getMigrationStatus(env);
+    return jsonResponse({ ...result, ...status }, corsHeaders, result.error ? 500 : 200);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Create schema_migrations if missing
+ */
+async function ensureMigrationsTable(env) {
+  await env.DB.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+}
+
+/**
+ * Migration status: { current, applied: [{version, name, applied_at}], pending: [{version, name}] }
+ */
+async function getMigrationStatus(env) {
+  await ensureMigrationsTable(env);
+
+  const { results } = await env.DB.prepare(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  ).all();
+
+  const appliedVersions = new Set(results.map(row => row.version));
+  const pending = MIGRATIONS
+    .filter(migration => !appliedVersions.has(migration.version))
+    .map(({ version, name }) => ({ version, name }));
+
+  return {
+    current: results.length > 0 ? results[results.length - 1].version : null,
+    applied: results,
+    pending
+  };
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction together with its schema_migrations row
+ * Stops at the first failing migration. Returns { applied: [names], error? }
+ */
+async function applyMigrations(env, { baseline } = {}) {
+  await ensureMigrationsTable(env);
+
+  if (baseline !== undefined) {
+    await env.DB.batch(MIGRATIONS
+      .filter(migration => migration.version <= baseline)
+      .map(migration => env.DB.prepare(
+        'INSERT OR IGNORE INTO schema_migrations (version, name) VALUES (?, ?)'
+      ).bind(migration.version, migration.name)));
+  }
+
+  const { pending } = await getMigrationStatus(env);
+  const applied = [];
+
+  for (const { version } of pending) {
+    const migration = MIGRATIONS.find(m => m.version === version);
+    try {
+      await env.DB.batch([
+        ...splitSqlStatements(migration.sql).map(sql => env.DB.prepare(sql)),
+        env.DB.prepare(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)'
+        ).bind(migration.version, migration.name)
+      ]);
+      applied.push(migration.name);
+    } catch (error) {
+      console.error(`Migration ${migration.name} failed:`, error);
+      return { applied, error: `${migration.name}: ${error.message}` };
+    }
+  }
+
+  return { applied };
+}
+
+/**
+ * Split SQL file into statements: drops -- comments, keeps ; inside quotes and trigger bodies
+ */
+function splitSqlStatements(sql) {
+  const statements = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (quote) {
+      current += char;
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === "'" || char === '"') {
+      quote = char;
+      current += char;
+      continue;
+    }
+    if (char === '-' && sql[i + 1] === '-') {
+      // Skip comment up to end of line
+      while (i < sql.length && sql[i] !== '\n') i++;
+      current += '\n';
+      continue;
+    }
+    if (char === ';') {
+      const statement = current.trim();
+      // CREATE TRIGGER ... BEGIN ...; ...; END - only the ; after END closes it
+      if (/^CREATE\s+TRIGGER/i.test(statement) && !/\bEND$/i.test(statement)) {
+        current += char;
+        continue;
+      }
+      if (statement) statements.push(statement);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) {
+    statements.push(current.trim());
+  }
+  return statements;
+}
+
+/**
+ * Get registered guards for web table filter (API endpoint)
+ */
+async function handleGetGuards(env, corsHeaders, siteId) {
+  try {
+    // Guards of the site and those who wrote entries there from another post
+    const { results } = siteId
+      ? await env.DB.prepare(`
+        SELECT telegram_id, surname FROM users
+        WHERE site_id = ? OR telegram_id IN (SELECT telegram_id FROM journal WHERE site_id = ?)
+        ORDER BY surname
+      `).bind(siteId, siteId).all()
+      : await env.DB.prepare(
+        'SELECT telegram_id, surname FROM users ORDER BY surname'
+      ).all();
+    return jsonResponse(results, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Read journal filter from query: from, to, surname, telegram_id, q; siteId from getRequestSite
+ * Returns { filter, error }
+ */
+function parseJournalFilter(params, siteId = null) {
+  const filter = {
+    from: params.get('from'),
+    to: params.get('to'),
+    surname: params.get('surname'),
+    telegramId: params.get('telegram_id'),
+    q: params.get('q'),
+    siteId
+  };
+
+  for (const key of ['from', 'to']) {
+    if (filter[key] && !isValidIsoDate(filter[key])) {
+      return { filter, error: `Query parameter "${key}" must be YYYY-MM-DD` };
+    }
+  }
+  if (filter.telegramId && !/^\d+$/.test(filter.telegramId)) {
+    return { filter, error: 'Query parameter "telegram_id" must be an integer' };
+  }
+
+  return { filter, error: null };
+}
+
+/**
+ * Export journal as CSV or XLSX (API endpoint)
+ * Query: ?format=csv|xlsx&layout=day|rows&from=&to=&surname=&telegram_id=&q=
+ */
+async function handleExportJournal(url, env, corsHeaders, siteId) {
+  const params = url.searchParams;
+  const format = params.get('format') || 'csv';
+  const layout = params.get('layout') || 'day';
+  const { filter, error: filterError } = parseJournalFilter(params, siteId);
+
+  if (format !== 'csv' && format !== 'xlsx') {
+    return jsonResponse({ error: 'Query parameter "format" must be "csv" or "xlsx"' }, corsHeaders, 400);
+  }
+  if (layout !== 'day' && layout !== 'rows') {
+    return jsonResponse({ error: 'Query parameter "layout" must be "day" or "rows"' }, corsHeaders, 400);
+  }
+  if (filterError) {
+    return jsonResponse({ error: filterError }, corsHeaders, 400);
+  }
+
+  try {
+    const file = await buildJournalExport(filter, format, layout, env);
+    return new Response(file.body, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.fileName}"`
+      }
+    });
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Build export file: { body, contentType, fileName }
+ * Body is a stream read from D1 batch by batch (CSV and XLSX alike)
+ * layout 'day' - one row per entry, 'rows' - one row per round / event
+ */
+async function buildJournalExport(filter, format, layout, env) {
+  const equipment = await getEquipmentCatalogue(env);
+  const header = layout === 'rows'
+    ? ['Фамилия', 'Telegram ID', 'Дата', 'Объект', 'Тип', 'Время', 'Описание']
+    : ['Фамилия', 'Telegram ID', 'Дата', 'Объект', 'Переданные вещи', 'Время обходов', 'События'];
+  const fileName = `journal_${filter.from || 'start'}_${filter.to || 'end'}.${format}`;
+
+  if (format === 'xlsx') {
+    async function* rows() {
+      yield header;
+      for await (const entry of iterateJournalEntries(filter, env)) {
+        yield* formatExportRows(entry, layout, equipment);
+      }
+    }
+    return {
+      body: streamXlsx(rows()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      fileName
+    };
+  }
+
+  const encoder = new TextEncoder();
+  const entries = iterateJournalEntries(filter, env);
+  // BOM so that Excel opens Cyrillic text as UTF-8
+  let pending = '\uFEFF' + toCsvLine(header);
+
+  const body = new ReadableStream({
+    // Each pull enqueues one chunk of about 16 KB (or the rest)
+    async pull(controller) {
+      while (pending.length < 16384) {
+        const { value, done } = await entries.next();
+        if (done) {
+          controller.enqueue(encoder.encode(pending));
+          controller.close();
+          return;
+        }
+        pending += formatExportRows(value, layout, equipment).map(toCsvLine).join('');
+      }
+      controller.enqueue(encoder.encode(pending));
+      pending = '';
+    }
+  });
+
+  return { body, contentType: 'text/csv; charset=utf-8', fileName };
+}
+
+/**
+ * Surname as stored in journal.surname_lower for the surname filter: lower case, ё as е
+ */
+function normalizeSurname(surname) {
+  return surname.toLowerCase().replace(/ё/g, 'е');
+}
+
+/**
+ * Read journal entries matching filter in batches, ordered by (date, id)
+ * filter: { from?, to?, surname?, telegramId?, q?, siteId? } - surname is a case-insensitive substring,
+ * q - words of event descriptions (full-text, prefix match)
+ * after: { date, id } - continue after this entry (cursor pagination)
+ */
+async function* iterateJournalEntries(filter, env, { descending = false, after = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (filter.siteId) {
+    conditions.push('site_id = ?');
+    params.push(filter.siteId);
+  }
+  if (filter.from) {
+    conditions.push('date >= ?');
+    params.push(filter.from);
+  }
+  if (filter.to) {
+    conditions.push('date <= ?');
+    params.push(filter.to);
+  }
+  if (filter.telegramId) {
+    conditions.push('telegram_id = ?');
+    params.push(Number(filter.telegramId));
+  }
+  const surname = filter.surname ? normalizeSurname(filter.surname.trim()) : '';
+  if (surname) {
+    conditions.push("surname_lower LIKE ? ESCAPE '\\'");
+    params.push(`%${surname.replace(/[\\%_]/g, char => `\\${char}`)}%`);
+  }
+  // Words of event descriptions, same full-text match as /api/search
+  const ftsQuery = buildFtsQuery(filter.q);
+  if (ftsQuery) {
+    conditions.push('id IN (SELECT entry_id FROM journal_events_fts WHERE journal_events_fts MATCH ?)');
+    params.push(ftsQuery);
+  }
+
+  const compare = descending ? '<' : '>';
+  const direction = descending ? 'DESC' : 'ASC';
+  const siteNames = new Map((await getSites(env)).map(site => [site.id, site.name]));
+
+  let cursor = after;
+  while (true) {
+    const where = [...conditions];
+    const batchParams = [...params];
+    if (cursor) {
+      where.push(`(date ${compare} ? OR (date = ? AND id ${compare} ?))`);
+      batchParams.push(cursor.date, cursor.date, cursor.id);
+    }
+
+    const { results } = await env.DB.prepare(`
+      SELECT id, telegram_id, surname, date, items, site_id, created_at
+      FROM journal
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY date ${direction}, id ${direction}
+      LIMIT ?
+    `).bind(...batchParams, JOURNAL_BATCH_SIZE).all();
+
+    const handovers = await getEntryHandovers(results, env);
+
+    for (const row of await attachEntryDetails(results, env)) {
+      const entry = {
+        id: row.id,
+        telegram_id: row.telegram_id,
+        surname: row.surname,
+        date: row.date,
+        site_id: row.site_id,
+        site_name: siteNames.get(row.site_id) || null,
+        items: parseItems(row.items),
+        rounds: row.rounds,
+        events: row.events,
+        handovers: handovers.get(`${row.telegram_id}_${row.date}`) || [],
+        created_at: row.created_at
+      };
+
+      yield entry;
+    }
+
+    if (results.length < JOURNAL_BATCH_SIZE) {
+      return;
+    }
+    cursor = results[results.length - 1];
+  }
+}
+
+/**
+ * Flatten entry to export rows, equipment - catalogue of all sites
+ */
+function formatExportRows(entry, layout, equipment) {
+  const base = [entry.surname, String(entry.telegram_id), formatReportDate(entry.date), entry.site_name || ''];
+
+  if (layout === 'rows') {
+    const rows = [
+      ...entry.rounds.map(round => [...base, 'Обход', round, '']),
+      ...entry.events.map(event => [...base, 'Событие', event.time, event.description])
+    ];
+    // Day without rounds and events is kept as a single row
+    return rows.length > 0 ? rows : [[...base, '', '', '']];
+  }
+
+  const items = entry.items
+    ? getEntryEquipment(entry.items, getSiteEquipment(equipment, entry.site_id))
+      .map(item => `${item.label}: ${getItemStateText(entry.items[item.key])}`)
+      .join('; ')
+    : 'не отмечено';
+
+  return [[
+    ...base,
+    items,
+    entry.rounds.join(', '),
+    entry.events.map(event => `${event.time} ${event.description}`).join('; ')
+  ]];
+}
+
+/**
+ * Format CSV line (RFC 4180 quoting)
+ * Values starting with = + - @ (or tab / CR) get a leading ' so spreadsheets don't run them as formulas
+ */
+function toCsvLine(values) {
+  return values.map(value => {
+    const raw = String(value ?? '');
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Stream single-sheet XLSX (inline strings, stored ZIP) from async iterable of rows of strings
+ */
+function streamXlsx(rows) {
+  return streamZip([
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>'],
+    ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + '<sheets><sheet name="Журнал" sheetId="1" r:id="rId1"/></sheets>'
+      + '</workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>'],
+    ['xl/worksheets/sheet1.xml', generateSheetXml(rows)]
+  ]);
+}
+
+/**
+ * Worksheet XML in chunks of about 16 KB, rows are read as they are needed
+ */
+async function* generateSheetXml(rows) {
+  const escapeXml = text => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  let pending = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetData>';
+  let rowNumber = 0;
+
+  for await (const row of rows) {
+    const cells = row.map(value =>
+      `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+    ).join('');
+    pending += `<row r="${++rowNumber}">${cells}</row>`;
+    if (pending.length >= 16384) {
+      yield pending;
+      pending = '';
+    }
+  }
+
+  yield pending + '</sheetData></worksheet>';
+}
+
+/**
+ * Stream ZIP archive without compression (enough for XLSX)
+ * files: [[name, string or async iterable of strings]]; CRC and sizes of each entry
+ * are written after its data (data descriptor), so content is never held in memory whole
+ */
+function streamZip(files) {
+  const chunks = generateZipChunks(files);
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    }
+  });
+}
+
+/**
+ * ZIP archive bytes for streamZip
+ */
+async function* generateZipChunks(files) {
+  const encoder = new TextEncoder();
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const nameBytes = encoder.encode(name);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true);         // Version needed
+    local.setUint16(6, 0x08, true);       // Flags: CRC and sizes in data descriptor
+    local.setUint16(8, 0, true);          // Method: stored
+    local.setUint16(10, 0, true);         // Time
+    local.setUint16(12, 0x21, true);      // Date: 1980-01-01
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);         // Extra field length
+    yield new Uint8Array(local.buffer);
+    yield nameBytes;
+
+    let crc = 0;
+    let size = 0;
+    for await (const text of typeof content === 'string' ? [content] : content) {
+      const data = encoder.encode(text);
+      crc = crc32(data, crc);
+      size += data.length;
+      yield data;
+    }
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true); // Data descriptor signature
+    descriptor.setUint32(4, crc, true);
+    descriptor.setUint32(8, size, true);
+    descriptor.setUint32(12, size, true);
+    yield new Uint8Array(descriptor.buffer);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);         // Version needed
+    central.setUint16(8, 0x08, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);    // Local header offset
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + size + 16;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  yield* centralParts;
+  yield new Uint8Array(end.buffer);
+}
+
+/**
+ * CRC-32 checksum for ZIP entries, previous - checksum of the preceding chunks
+ */
+function crc32(bytes, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Printable report for date range (API endpoint)
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&format=html|pdf
+ */
+async function handleGetReport(url, env, corsHeaders, siteId) {
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to') || from;
+  const format = url.searchParams.get('format') || 'html';
+
+  const rangeError = validateReportRange(from, to);
+  if (rangeError) {
+    return jsonResponse({ error: rangeError }, corsHeaders, 400);
+  }
+  if (format !== 'html' && format !== 'pdf') {
+    return jsonResponse({ error: 'Query parameter "format" must be "html" or "pdf"' }, corsHeaders, 400);
+  }
+
+  try {
+    const html = await buildReportHtml(from, to, env, siteId);
+
+    if (format === 'html') {
+      return new Response(html, {
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/html; charset=utf-8'
+        }
+      });
+    }
+
+    const pdf = await renderReportPdf(html, env);
+    if (!pdf) {
+      return jsonResponse({ error: 'PDF rendering is not configured, use format=html' }, corsHeaders, 501);
+    }
+
+    return new Response(pdf, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="journal_${from}_${to}.pdf"`
+      }
+    });
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Check report period, returns error text or null
+ */
+function validateReportRange(from, to) {
+  if (!isValidIsoDate(from) || !isValidIsoDate(to)) {
+    return 'Неверный формат даты';
+  }
+  if (from > to) {
+    return 'Начало периода позже конца';
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+  if (days > REPORT_MAX_DAYS) {
+    return `Период отчета не больше ${REPORT_MAX_DAYS} дней`;
+  }
+
+  return null;
+}
+
+/**
+ * Format YYYY-MM-DD as DD.MM.YYYY for paper journal
+ */
+function formatReportDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}.${month}.${year}`;
+}
+
+/**
+ * Build print-ready HTML of the paper journal, split into A4 sheets
+ * Columns match the web table: Фамилия, Дата, Переданные вещи, Время обходов, События, Подпись (передача смены)
+ */
+async function buildReportHtml(from, to, env, siteId = null) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, telegram_id, surname, date, items, site_id
+    FROM journal
+    WHERE date BETWEEN ? AND ? ${siteId ? 'AND site_id = ?' : ''}
+    ORDER BY date ASC, created_at ASC
+  `).bind(from, to, ...(siteId ? [siteId] : [])).all();
+  const site = siteId ? await getSite(siteId, env) : null;
+
+  const equipment = await getEquipmentCatalogue(env);
+  const handovers = await getEntryHandovers(results, env);
+
+  const rows = (await attachEntryDetails(results, env)).map(row => {
+    const items = parseItems(row.items);
+    const { rounds, events } = row;
+
+    const itemsHtml = items
+      ? getEntryEquipment(items, getSiteEquipment(equipment, row.site_id))
+        .map(item => `${getItemMark(items[item.key])} ${escapeHtml(item.label)}`)
+        .join('<br>')
+      : '—';
+    const roundsHtml = rounds.length > 0 ? rounds.map(escapeHtml).join('<br>') : '—';
+    const eventsHtml = events.length > 0
+      ? events.map(event => `<b>${escapeHtml(event.time)}</b> — ${escapeHtml(event.description)}`).join('<br>')
+      : '—';
+    // Accepted handovers only, the cell stays empty for a handwritten signature otherwise
+    const signatureHtml = (handovers.get(`${row.telegram_id}_${row.date}`) || [])
+      .filter(handover => handover.status === 'accepted')
+      .map(handover => handover.direction === 'out'
+        ? `Сдал: ${escapeHtml(handover.to_surname)}<br>${formatHandoverTime(handover.accepted_at, env)}`
+        : `Принял у: ${escapeHtml(handover.from_surname)}<br>${formatHandoverTime(handover.accepted_at, env)}`)
+      .join('<br>');
+
+    return `<tr>
+      <td>${escapeHtml(row.surname)}</td>
+      <td>${formatReportDate(row.date)}</td>
+      <td>${itemsHtml}</td>
+      <td>${roundsHtml}</td>
+      <td>${eventsHtml}</td>
+      <td>${signatureHtml}</td>
+    </tr>`;
+  });
+
+  // Fixed number of entries per sheet so every sheet has header and page number
+  const pages = [];
+  for (let i = 0; i < rows.length; i += REPORT_ROWS_PER_PAGE) {
+    pages.push(rows.slice(i, i + REPORT_ROWS_PER_PAGE));
+  }
+  if (pages.length === 0) {
+    pages.push(['<tr><td colspan="6" class="empty">Записей за период нет</td></tr>']);
+  }
+
+  const period = `${formatReportDate(from)} — ${formatReportDate(to)}`;
+  const sheets = pages.map((pageRows, index) => `
+  <section class="sheet">
+    <h1>Журнал передачи оборудования и обходов</h1>
+    <div class="period">${site ? `Объект: ${escapeHtml(site.name)}, ` : ''}Период: ${period}</div>
+    <table>
+      <thead>
+        <tr>
+          <th style="width: 12%;">Фамилия</th>
+          <th style="width: 9%;">Дата</th>
+          <th style="width: 17%;">Переданные вещи</th>
+          <th style="width: 13%;">Время обходов</th>
+          <th style="width: 37%;">События</th>
+          <th style="width: 12%;">Подпись</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${pageRows.join('\n')}
+      </tbody>
+    </table>
+    <div class="footer">Лист ${index + 1} из ${pages.length}</div>
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="UTF-8">
+  <title>Журнал передачи оборудования и обходов, ${site ? `${escapeHtml(site.name)}, ` : ''}${period}</title>
+  <style>
+    @page { size: A4 landscape; margin: 10mm; }
+    body { font-family: Arial, sans-serif; font-size: 11px; color: #000; margin: 0; }
+    .sheet { page-break-after: always; }
+    .sheet:last-child { page-break-after: auto; }
+    h1 { font-size: 16px; text-align: center; margin: 0 0 4px; }
+    .period { text-align: center; margin-bottom: 8px; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th, td { border: 1px solid #000; padding: 4px; vertical-align: top; word-wrap: break-word; }
+    th { background: #eee; }
+    tr { page-break-inside: avoid; }
+    td.empty { text-align: center; padding: 20px; }
+    .footer { text-align: right; margin-top: 6px; }
+    @media screen { .sheet { max-width: 1100px; margin: 20px auto; } }
+  </style>
+</head>
+<body>
+${sheets}
+</body>
+</html>`;
+}
+
+/**
+ * Render report HTML to PDF via Cloudflare Browser Rendering REST API
+ * Returns ArrayBuffer, or null if CF_ACCOUNT_ID / CF_BROWSER_TOKEN are not set
+ */
+async function renderReportPdf(html, env) {
+  if (!env.CF_ACCOUNT_ID || !env.CF_BROWSER_TOKEN) {
+    return null;
+  }
+
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/browser-rendering/pdf`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${env.CF_BROWSER_TOKEN}`
+      },
+      body: JSON.stringify({
+        html,
+        pdfOptions: { format: 'a4', landscape: true, printBackground: true }
+      })
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`PDF rendering failed: ${response.status} ${await response.text()}`);
+  }
+
+  return response.arrayBuffer();
+}
+
+/**
+ * Delete journal entry by id (API endpoint)
+ * Body: { id }
+ */
+async function handleDeleteJournal(request, env, corsHeaders, auth) {
+  try {
+    let payload;
+    try {
+      payload = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+    }
+
+    if (!Number.isInteger(payload?.id)) {
+      return jsonResponse({ error: 'Field "id" must be an integer' }, corsHeaders, 400);
+    }
+
+    const entry = await getEntryById(payload.id, env);
+    if (!entry || !hasSiteAccess(auth, entry.site_id)) {
+      return jsonResponse({ error: 'Entry not found' }, corsHeaders, 404);
+    }
+
+    await deleteJournalEntry(entry, { actor: auth.sub, source: 'web' }, env);
+
+    return jsonResponse({ id: payload.id, deleted: true }, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Validate journal update payload, returns error text or null
+ */
+function validateJournalPayload(payload, equipment) {
+  if (!payload || typeof payload !== 'object') {
+    return 'Body must be a JSON object';
+  }
+
+  if (!Number.isInteger(payload.id)) {
+    return 'Field "id" must be an integer';
+  }
+
+  if (payload.date !== undefined && !isValidIsoDate(payload.date)) {
+    return 'Field "date" must be a date in YYYY-MM-DD format';
+  }
+
+  if (payload.rounds !== undefined) {
+    if (!Array.isArray(payload.rounds)) {
+      return 'Field "rounds" must be an array';
+    }
+    const invalid = payload.rounds.find(interval => !isValidInterval(interval));
+    if (invalid !== undefined) {
+      return `Invalid round interval "${invalid}", expected HH:MM-HH:MM`;
+    }
+  }
+
+  if (payload.events !== undefined) {
+    if (!Array.isArray(payload.events)) {
+      return 'Field "events" must be an array';
+    }
+    for (const event of payload.events) {
+      if (!event || typeof event !== 'object' || !isValidTime(event.time)) {
+        return 'Each event must have "time" in HH:MM format';
+      }
+      if (typeof event.description !== 'string' || !event.description.trim()) {
+        return 'Each event must have a non-empty "description"';
+      }
+      if (event.category !== undefined && !EVENT_CATEGORIES.includes(event.category)) {
+        return `Event "category" must be one of: ${EVENT_CATEGORIES.join(', ')}`;
+      }
+    }
+  }
+
+  if (payload.items !== undefined) {
+    if (!payload.items || typeof payload.items !== 'object' || Array.isArray(payload.items)) {
+      return 'Field "items" must be an object';
+    }
+    for (const [key, value] of Object.entries(payload.items)) {
+      if (!equipment.some(item => item.key === key)) {
+        return `Unknown equipment item "${key}"`;
+      }
+      if (typeof value !== 'boolean') {
+        return `Equipment item "${key}" must be true or false`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check HH:MM time
+ */
+function isValidTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Check HH:MM-HH:MM round interval
+ */
+function isValidInterval(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const [start, end, ...rest] = value.split('-');
+  return rest.length === 0 && isValidTime(start) && isValidTime(end);
+}
+
+/**
+ * Parse DD.MM.YYYY from bot command to YYYY-MM-DD, null if invalid
+ */
+function parseCommandDate(value) {
+  const dateParts = (value || '').split('.');
+  if (dateParts.length !== 3) {
+    return null;
+  }
+  const [day, month, year] = dateParts;
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return isValidIsoDate(date) ? date : null;
+}
+
+/**
+ * Check YYYY-MM-DD date (real calendar date)
+ */
+function isValidIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Current wall-clock date and time in site timezone (env.TIMEZONE, IANA name)
+ * Returns { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function getLocalDateTime(env, at = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: env.TIMEZONE || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Shift start time from env.SHIFT_START (HH:MM, default 00:00 - shift is a calendar day)
+ */
+function getShiftStart(env) {
+  const start = normalizeTime(env.SHIFT_START || '00:00');
+  return isValidTime(start) ? start : '00:00';
+}
+
+/**
+ * Minutes since shift start (SHIFT_START) for sorting HH:MM within a shift:
+ * with 08:00 the night after midnight comes after the evening
+ */
+function getShiftMinutes(time, env) {
+  return (timeToMinutes(time) - timeToMinutes(getShiftStart(env)) + 1440) % 1440;
+}
+
+/**
+ * Shift date of wall-clock date and time: with SHIFT_START 08:00 the night
+ * until 08:00 belongs to the shift that started the day before
+ */
+function toShiftDate(date, time, env) {
+  return time < getShiftStart(env) ? addDays(date, -1) : date;
+}
+
+/**
+ * Date of the current shift in site timezone - default date of journal entries
+ */
+function getShiftDate(env, at = new Date()) {
+  const now = getLocalDateTime(env, at);
+  return toShiftDate(now.date, now.time, env);
+}
+
+/**
+ * Shift YYYY-MM-DD by number of days
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Wall-clock date and time as minutes, for differences between them
+ */
+function toWallMinutes(date, time) {
+  return Date.parse(`${date}T${time}:00Z`) / 60000;
+}
+
+/**
+ * HH:MM to minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes (any, wrapped to one day) to HH:MM
+ */
+function minutesToTime(value) {
+  const minutes = ((value % 1440) + 1440) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Escape text for Telegram HTML parse mode
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build JSON response with CORS headers
+ */
+function jsonResponse(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+/**
+ * Get equipment catalogue (API endpoint), siteId - items of the site and shared ones
+ */
+async function handleGetEquipment(env, corsHeaders, siteId) {
+  try {
+    return jsonResponse(await getEquipmentCatalogue(env, { siteId }), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Add equipment item (API endpoint)
+ * Body: { name, quantity?, site_id? }
+ * site_id is the token's site for site admins, shared by all sites by default
+ */
+async function handleCreateEquipment(request, env, corsHeaders, auth) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
+
+  if (typeof payload?.name !== 'string') {
+    return jsonResponse({ error: 'Field "name" is required' }, corsHeaders, 400);
+  }
+
+  try {
+    const item = await createEquipment({
+      name: payload.name,
+      quantity: payload.quantity ?? 1,
+      site_id: auth.site || (payload.site_id ?? null)
+    }, env);
+    return jsonResponse(item, corsHeaders, 201);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 400);
+  }
+}
+
+/**
+ * Update equipment item (API endpoint)
+ * Body: { id, name?, quantity?, active? }
+ */
+async function handleUpdateEquipment(request, env, corsHeaders, auth) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
+
+  if (!Number.isInteger(payload?.id)) {
+    return jsonResponse({ error: 'Field "id" must be an integer' }, corsHeaders, 400);
+  }
+
+  const existing = await getEquipmentItem(payload.id, env);
+  if (!existing || !hasSiteAccess(auth, existing.site_id)) {
+    return jsonResponse({ error: 'Equipment not found' }, corsHeaders, 404);
+  }
+
+  try {
+    const item = await updateEquipment(payload.id, {
+      name: payload.name,
+      quantity: payload.quantity,
+      active: payload.active
+    }, env);
+    return jsonResponse(item, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 400);
+  }
+}
+
+/**
+ * Get round schedules (API endpoint)
+ */
+async function handleGetSchedules(env, corsHeaders, siteId) {
+  try {
+    return jsonResponse(await getRoundSchedules(env, { siteId }), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
+
+/**
+ * Add round schedule (API endpoint)
+ * Body: { name, start_time, end_time, interval_minutes, tolerance_minutes?, site_id? }
+ * site_id is the token's site for site admins, first site by default
+ */
+async function handleCreateSchedule(request, env, corsHeaders, auth) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
+
+  try {
+    const schedule = await createRoundSchedule({
+      name: payload?.name,
+      start_time: payload?.start_time,
+      end_time: payload?.end_time,
+      interval_minutes: payload?.interval_minutes,
+      tolerance_minutes: payload?.tolerance_minutes,
+      site_id: auth.site || payload?.site_id
+    }, env);
+    return jsonResponse(schedule, corsHeaders, 201);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 400);
+  }
+}
+
+/**
+ * Update round schedule (API endpoint)
+ * Body: { id, name?, start_time?, end_time?, interval_minutes?, tolerance_minutes?, active? }
+ */
+async function handleUpdateSchedule(request, env, corsHeaders, auth) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
+
+  if (!Number.isInteger(payload?.id)) {
+    return jsonResponse({ error: 'Field "id" must be an integer' }, corsHeaders, 400);
+  }
+
+  const existing = await getRoundSchedule(payload.id, env);
+  if (!existing || !hasSiteAccess(auth, existing.site_id)) {
+    return jsonResponse({ error: 'Schedule not found' }, corsHeaders, 404);
+  }
 
-    const voiceFileId = message.voice.file_id;
-    const audioBuffer = await downloadTelegramFile(voiceFileId, env);
+  try {
+    const schedule = await updateRoundSchedule(payload.id, {
+      name: payload.name,
+      start_time: payload.start_time,
+      end_time: payload.end_time,
+      interval_minutes: payload.interval_minutes,
+      tolerance_minutes: payload.tolerance_minutes,
+      active: payload.active
+    }, env);
+    return jsonResponse(schedule, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 400);
+  }
+}
 
-    // Step 2: Transcribe with Gemini (supports audio input)
-    const transcription = await transcribeAudio(audioBuffer, env);
+/**
+ * Missed rounds by shift date (API endpoint)
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&site=
+ */
+async function handleGetRoundCompliance(url, env, corsHeaders, siteId) {
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
 
-    // Show transcription to user
-    await sendTelegramMessage(
-      chatId,
-      `📝 Распознано:\n"${transcription}"\n\n⏳ Обрабатываю данные...`,
-      env
-    );
+  const rangeError = validateReportRange(from, to);
+  if (rangeError) {
+    return jsonResponse({ error: rangeError }, corsHeaders, 400);
+  }
 
-    // Step 3: Parse transcription with Gemini structured output
-    const parsedData = await parseTranscription(transcription, env);
+  try {
+    return jsonResponse(await getRoundCompliance(from, to, env, siteId), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
 
-    // Step 4: Check if entry exists for today
-    const today = new Date().toISOString().split('T')[0];
-    const existing = await env.DB.prepare(
-      'SELECT id FROM journal WHERE telegram_id = ? AND date = ?'
-    ).bind(telegramId, today).first();
+/**
+ * Verify entry signatures and the chain from the last verified link (API endpoint)
+ * Query: ?ids=1,2,3 - entries to check (web table page), without ids - all signed entries
+ */
+async function handleVerifyJournal(url, env, corsHeaders, siteId) {
+  const idsParam = url.searchParams.get('ids');
+  if (idsParam !== null && !/^\d+(,\d+)*$/.test(idsParam)) {
+    return jsonResponse({ error: 'Query parameter "ids" must be comma-separated integers' }, corsHeaders, 400);
+  }
+  const requested = idsParam ? [...new Set(idsParam.split(',').map(Number))] : null;
+  if (requested && requested.length > JOURNAL_PAGE_MAX) {
+    return jsonResponse({ error: `At most ${JOURNAL_PAGE_MAX} ids` }, corsHeaders, 400);
+  }
 
-    if (existing) {
-      // Update existing entry
-      await env.DB.prepare(`
-        UPDATE journal
-        SET rounds = ?, events = ?
-        WHERE telegram_id = ? AND date = ?
-      `).bind(
-        JSON.stringify(parsedData.rounds),
-        JSON.stringify(parsedData.events),
-        telegramId,
-        today
-      ).run();
-    } else {
-      // Insert new entry
-      await env.DB.prepare(`
-        INSERT INTO journal (telegram_id, surname, date, rounds, events)
-        VALUES (?, ?, ?, ?, ?)
-      `).bind(
-        telegramId,
-        user.surname,
-        today,
-        JSON.stringify(parsedData.rounds),
-        JSON.stringify(parsedData.events)
-      ).run();
+  try {
+    const chain = await verifySignatureChain(env);
+    const links = await getLastEntrySignatures(requested, env);
+    const key = getSigningKey(env);
+    const entries = [];
+
+    for (const entry of await getEntriesByIds(requested || [...links.keys()], env)) {
+      if (siteId && entry.site_id !== siteId) continue;
+      const link = links.get(entry.id);
+      entries.push({
+        id: entry.id,
+        status: await getEntrySignatureStatus(entry, link, chain, key),
+        seq: link?.seq ?? null,
+        action: link?.action ?? null,
+        actor: link?.actor ?? null,
+        signed_at: link?.signed_at ?? null
+      });
     }
 
-    // Send confirmation
-    const confirmation = formatConfirmation(user.surname, today, parsedData);
-    await sendTelegramMessageWithMenu(chatId, confirmation, env);
-
+    return jsonResponse({
+      chain,
+      entries
+    }, corsHeaders);
   } catch (error) {
-    console.error('Voice processing error:', error);
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
 
-    // Send detailed error to user
-    let errorMsg = '❌ Ошибка обработки:\n\n';
-    errorMsg += error.message || error.toString();
+/**
+ * Shift handovers for date range (API endpoint)
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&site=
+ */
+async function handleGetHandovers(url, env, corsHeaders, siteId) {
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
 
-    if (error.stack) {
-      errorMsg += `\n\nДетали: ${error.stack.substring(0, 200)}`;
-    }
+  const rangeError = validateReportRange(from, to);
+  if (rangeError) {
+    return jsonResponse({ error: rangeError }, corsHeaders, 400);
+  }
 
-    await sendTelegramMessageWithMenu(chatId, errorMsg, env);
+  try {
+    return jsonResponse(await getHandovers(from, to, env, siteId), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
   }
 }
 
 /**
- * Download file from Telegram
+ * Get sites (API endpoint), site-bound users get only their site
  */
-async function downloadTelegramFile(fileId, env) {
-  // Get file path
-  const fileInfoResponse = await fetch(
-    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/getFile?file_id=${fileId}`
-  );
-  const fileInfo = await fileInfoResponse.json();
+async function handleGetSites(env, corsHeaders, auth) {
+  try {
+    const sites = await getSites(env);
+    return jsonResponse(sites.filter(site => hasSiteAccess(auth, site.id)), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
+  }
+}
 
-  if (!fileInfo.ok) {
-    throw new Error('Failed to get file info from Telegram');
+/**
+ * Add site (API endpoint)
+ * Body: { name, rate_limit? }
+ */
+async function handleCreateSite(request, env, corsHeaders) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
   }
 
-  // Download file
-  const fileUrl = `https://api.telegram.org/file/bot${env.TELEGRAM_BOT_TOKEN}/${fileInfo.result.file_path}`;
-  const fileResponse = await fetch(fileUrl);
-  return await fileResponse.arrayBuffer();
+  try {
+    const site = await createSite({ name: payload?.name, rate_limit: payload?.rate_limit }, env);
+    return jsonResponse(site, corsHeaders, 201);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 400);
+  }
 }
 
 /**
- * Transcribe audio using Gemini
+ * Update site (API endpoint)
+ * Body: { id, name?, rate_limit?, active? }
  */
-async function transcribeAudio(audioBuffer, env) {
-  // Convert audio to base64
-  const base64Audio = arrayBufferToBase64(audioBuffer);
+async function handleUpdateSite(request, env, corsHeaders) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+  }
 
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${env.GEMINI_API_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [
-            {
-              inline_data: {
-                mime_type: "audio/ogg",
-                data: base64Audio
-              }
-            },
-            {
-              text: "Транскрибируй это голосовое сообщение на русском языке. Верни только текст без комментариев."
-            }
-          ]
-        }]
-      })
-    }
-  );
+  if (!Number.isInteger(payload?.id)) {
+    return jsonResponse({ error: 'Field "id" must be an integer' }, corsHeaders, 400);
+  }
 
-  const data = await response.json();
-  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error(`Gemini transcription failed: ${JSON.stringify(data)}`);
+  if (!await getSite(payload.id, env)) {
+    return jsonResponse({ error: 'Site not found' }, corsHeaders, 404);
   }
 
-  return data.candidates[0].content.parts[0].text;
+  try {
+    const site = await updateSite(payload.id, {
+      name: payload.name,
+      rate_limit: payload.rate_limit,
+      active: payload.active
+    }, env);
+    return jsonResponse(site, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 400);
+  }
 }
 
 /**
- * Parse voice command for editing/deleting entries
+ * Web login (API endpoint)
+ * Body: { username, password } - checked against PBKDF2 hashes in web_users
  */
-async function parseVoiceCommand(text, env) {
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${env.GEMINI_API_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: `Проанализируй команду пользователя и определи намерение:
+async function handleLogin(request, env, corsHeaders) {
+  try {
+    let payload;
+    try {
+      payload = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
+    }
 
-Команда: "${text}"
+    const username = typeof payload?.username === 'string' ? payload.username.trim() : '';
+    const password = typeof payload?.password === 'string' ? payload.password : '';
 
-Возможные типы команд:
-- "edit" - изменить существующую запись (добавить/убрать обходы или события)
-- "delete" - удалить запись
-- "add_journal" - создать обычную запись журнала (обходы и события)
+    if (!username || !password) {
+      return jsonResponse({ error: 'Username and password are required' }, corsHeaders, 400);
+    }
 
-Примеры:
-"Измени запись 2, убери время 21:20" -> edit, entryIndex: 2, action: remove_rounds, rounds: ["21:20"]
-"Добавь к записи 1 обход 09:30" -> edit, entryIndex: 1, action: add_rounds, rounds: ["09:30"]
-"Удали запись 3" -> delete, entryIndex: 3
-"Обходы 09:10, 12:15" -> add_journal (обычная запись)
+    const user = await env.DB.prepare(
+      'SELECT username, password_hash, role, site_id FROM web_users WHERE username = ?'
+    ).bind(username).first();
 
-Верни структурированный JSON согласно схеме.`
-          }]
-        }],
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: VOICE_COMMAND_SCHEMA
-        }
-      })
+    const isValid = user && await verifyPassword(password, user.password_hash);
+    if (!isValid || !ROLE_LEVELS[user.role]) {
+      return jsonResponse({ error: 'Invalid credentials' }, corsHeaders, 401);
     }
-  );
 
-  const data = await response.json();
-  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error(`Voice command parsing failed: ${JSON.stringify(data)}`);
+    return jsonResponse(await issueAuthToken(user.username, user.role, user.site_id, env), corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
   }
-
-  return JSON.parse(data.candidates[0].content.parts[0].text);
 }
 
 /**
- * Convert single start times to intervals (add +10 minutes for end time)
+ * Web login via Telegram (API endpoint)
+ * Body: { initData } from Mini App or Login Widget user object { id, auth_date, hash, ... }
  */
-function convertToIntervals(startTimes) {
-  return startTimes.map(startTime => {
-    const [hours, minutes] = startTime.split(':').map(Number);
-    const endMinutes = minutes + 10;
-
-    if (endMinutes < 60) {
-      return `${startTime}-${String(hours).padStart(2, '0')}:${String(endMinutes).padStart(2, '0')}`;
-    } else {
-      const nextHour = hours + 1;
-      const remainingMinutes = endMinutes - 60;
-      return `${startTime}-${String(nextHour % 24).padStart(2, '0')}:${String(remainingMinutes).padStart(2, '0')}`;
+async function handleTelegramLogin(request, env, corsHeaders) {
+  try {
+    let payload;
+    try {
+      payload = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid JSON body' }, corsHeaders, 400);
     }
-  });
-}
 
-/**
- * Parse transcription using Gemini structured output
- */
-async function parseTranscription(text, env) {
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${env.GEMINI_API_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: `Из следующего текста извлеки:
-1. ТОЛЬКО ВРЕМЯ НАЧАЛА обходов (список времен в формате HH:MM, без времени конца)
-2. События (что произошло и во сколько)
+    const telegramId = typeof payload?.initData === 'string'
+      ? await verifyTelegramInitData(payload.initData, env)
+      : await verifyTelegramLoginWidget(payload, env);
 
-Примеры:
-- "Обходы девять десять, двенадцать пятнадцать" → rounds: ["09:10", "12:15"]
-- "Обходы 10:10, 12:25" → rounds: ["10:10", "12:25"]
-- Не вводи никакие интервалы сам! Бот автоматически добавит +10 минут для каждого обхода.
+    if (!telegramId) {
+      return jsonResponse({ error: 'Invalid Telegram signature' }, corsHeaders, 401);
+    }
 
-Текст: "${text}"
+    const user = await env.DB.prepare(
+      'SELECT surname, status, site_id FROM users WHERE telegram_id = ?'
+    ).bind(telegramId).first();
 
-Верни структурированный JSON согласно схеме.`
-          }]
-        }],
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: JOURNAL_SCHEMA
-        }
-      })
+    if (!user) {
+      return jsonResponse({ error: 'User is not registered in the bot' }, corsHeaders, 403);
+    }
+    if (user.status !== 'active') {
+      return jsonResponse({ error: user.status === 'blocked' ? 'User is blocked' : 'Registration is not approved yet' }, corsHeaders, 403);
     }
-  );
 
-  const data = await response.json();
-  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error(`Gemini parsing failed: ${JSON.stringify(data)}`);
+    const access = await getTelegramWebAccess(telegramId, user.site_id, env);
+    const result = await issueAuthToken(`tg:${telegramId}`, access.role, access.site, env);
+
+    return jsonResponse({ ...result, surname: user.surname }, corsHeaders);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, corsHeaders, 500);
   }
+}
 
-  const parsed = JSON.parse(data.candidates[0].content.parts[0].text);
+/**
+ * Web role and site of active Telegram user: bot admins - admin, others - viewer
+ * Guards and site admins are bound to their site (siteId - users.site_id), admins of all sites are not
+ */
+async function getTelegramWebAccess(telegramId, siteId, env) {
+  const scope = await getAdminScope(telegramId, env);
+  return { role: scope ? 'admin' : 'viewer', site: scope ? scope.siteId : siteId };
+}
 
-  // Convert start times to intervals (add +10 minutes)
-  if (parsed.rounds && parsed.rounds.length > 0) {
-    parsed.rounds = convertToIntervals(parsed.rounds);
+/**
+ * Admin scope of Telegram user: { siteId: null } - all sites (ADMIN_TELEGRAM_IDS, role admin),
+ * { siteId } - role site_admin, own site only; null - not an admin
+ */
+async function getAdminScope(telegramId, env) {
+  if (getConfiguredAdminIds(env).includes(String(telegramId))) {
+    return { siteId: null };
   }
 
-  return parsed;
+  const user = await env.DB.prepare(
+    "SELECT role, site_id FROM users WHERE telegram_id = ? AND role IN ('admin', 'site_admin') AND status = 'active'"
+  ).bind(telegramId).first();
+  if (!user) {
+    return null;
+  }
+  return { siteId: user.role === 'admin' ? null : user.site_id };
 }
 
 /**
- * Send message to Telegram
+ * Check that site is within admin scope from getAdminScope
  */
-async function sendTelegramMessage(chatId, text, env) {
-  await fetch(
-    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: text,
-        parse_mode: 'HTML'
-      })
-    }
-  );
+function isInScope(scope, siteId) {
+  return !!scope && (scope.siteId === null || scope.siteId === siteId);
 }
 
 /**
- * Get keyboard menu buttons (persistent menu)
+ * Telegram IDs from ADMIN_TELEGRAM_IDS (comma separated)
  */
-function getMainMenuKeyboard() {
-  return {
-    keyboard: [
-      [{ text: '🎙️ Start' }, { text: '✏️ Edit' }, { text: 'ℹ️ Help' }]
-    ],
-    resize_keyboard: true,
-    one_time_keyboard: false
-  };
+function getConfiguredAdminIds(env) {
+  return (env.ADMIN_TELEGRAM_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id);
+}
+
+/**
+ * Admin Telegram IDs for notifications: configured, promoted with /approve <id> admin
+ * and, if siteId is given, site admins of that site
+ */
+async function getAdminTelegramIds(env, siteId = null) {
+  const { results } = await env.DB.prepare(`
+    SELECT telegram_id FROM users
+    WHERE status = 'active' AND (role = 'admin' OR (role = 'site_admin' AND site_id = ?))
+  `).bind(siteId).all();
+  return [...new Set([...getConfiguredAdminIds(env), ...results.map(row => String(row.telegram_id))])];
+}
+
+/**
+ * Verify Telegram Login Widget data, returns Telegram ID or null
+ * https://core.telegram.org/widgets/login#checking-authorization
+ */
+async function verifyTelegramLoginWidget(data, env) {
+  if (!data || typeof data !== 'object' || typeof data.hash !== 'string') {
+    return null;
+  }
+
+  const fields = Object.keys(data)
+    .filter(key => key !== 'hash' && data[key] !== undefined && data[key] !== null)
+    .sort()
+    .map(key => `${key}=${data[key]}`);
+
+  // Secret key is SHA256 of the bot token
+  const secretKey = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.TELEGRAM_BOT_TOKEN));
+  const isValid = await checkTelegramHash(secretKey, fields.join('\n'), data.hash, data.auth_date);
+
+  return isValid ? Number(data.id) || null : null;
+}
+
+/**
+ * Verify Mini App initData query string, returns Telegram ID or null
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+async function verifyTelegramInitData(initData, env) {
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) {
+    return null;
+  }
+
+  const fields = [...params.entries()]
+    .filter(([key]) => key !== 'hash')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`);
+
+  // Secret key is HMAC of the bot token keyed by "WebAppData"
+  const secretKey = await hmacSha256(new TextEncoder().encode('WebAppData'), env.TELEGRAM_BOT_TOKEN);
+  const isValid = await checkTelegramHash(secretKey, fields.join('\n'), hash, params.get('auth_date'));
+  if (!isValid) {
+    return null;
+  }
+
+  try {
+    return Number(JSON.parse(params.get('user') || '{}').id) || null;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * Send message with persistent menu
+ * Compare Telegram hash of data-check-string and check auth_date freshness
  */
-async function sendTelegramMessageWithMenu(chatId, text, env) {
-  await fetch(
-    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: text,
-        parse_mode: 'HTML',
-        reply_markup: getMainMenuKeyboard()
-      })
-    }
+async function checkTelegramHash(secretKey, dataCheckString, hash, authDate) {
+  const ageSeconds = Date.now() / 1000 - Number(authDate);
+  if (!Number.isFinite(ageSeconds) || ageSeconds > TELEGRAM_AUTH_MAX_AGE_HOURS * 60 * 60) {
+    return false;
+  }
+
+  const expected = bytesToHex(await hmacSha256(secretKey, dataCheckString));
+  return timingSafeEqual(
+    new TextEncoder().encode(expected),
+    new TextEncoder().encode(String(hash).toLowerCase())
   );
 }
 
 /**
- * Send message with inline keyboard buttons
+ * HMAC-SHA256 of a string message, returns bytes
  */
-async function sendTelegramMessageWithButtons(chatId, text, buttons, env) {
-  await fetch(
-    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: text,
-        reply_markup: {
-          inline_keyboard: buttons
-        }
-      })
-    }
+async function hmacSha256(keyBytes, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
   );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return new Uint8Array(signature);
 }
 
 /**
- * Answer callback query (button click)
+ * Encode bytes as lowercase hex
  */
-async function answerCallbackQuery(callbackQueryId, text, env) {
-  await fetch(
-    `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/answerCallbackQuery`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        callback_query_id: callbackQueryId,
-        text: text || '✅'
-      })
-    }
-  );
+function bytesToHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
 /**
- * Handle callback query (button clicks)
+ * Issue signed session token for web access, site - site id the user is bound to, null - all sites
  */
-async function handleCallbackQuery(callbackQuery, env) {
-  const telegramId = callbackQuery.from.id;
-  const chatId = callbackQuery.message.chat.id;
-  const data = callbackQuery.data;
+async function issueAuthToken(subject, role, site, env) {
+  const expiresAt = Date.now() + AUTH_TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  const token = await signAuthToken({
+    sub: subject,
+    role,
+    site: site || null,
+    exp: Math.floor(expiresAt / 1000)
+  }, env);
 
-  // Parse callback data - check more specific first
-  if (data.startsWith('select_date_')) {
-    // Date selected from /start menu
-    const date = data.substring(12);
-    await handleDateSelected(telegramId, chatId, date, callbackQuery.id, env);
-  } else if (data.startsWith('edit_rounds_')) {
-    // Edit rounds for specific date
-    const date = data.substring(12);
-    await startEditRounds(telegramId, chatId, date, callbackQuery.id, env);
-  } else if (data.startsWith('edit_events_')) {
-    // Edit events for specific date
-    const date = data.substring(12);
-    await startEditEvents(telegramId, chatId, date, callbackQuery.id, env);
-  } else if (data.startsWith('edit_')) {
-    // Edit specific date (show options)
-    const date = data.substring(5);
-    await showEditOptions(telegramId, chatId, date, callbackQuery.id, env);
-  }
+  return {
+    token,
+    role,
+    site: site || null,
+    expires_at: new Date(expiresAt).toISOString()
+  };
 }
 
 /**
- * Handle date selection from /start menu
+ * Get auth info { sub, role, site } from Authorization: Bearer header, null if invalid or expired
  */
-async function handleDateSelected(telegramId, chatId, date, callbackQueryId, env) {
-  const user = await env.DB.prepare(
-    'SELECT surname FROM users WHERE telegram_id = ?'
-  ).bind(telegramId).first();
-
-  if (!user) {
-    await answerCallbackQuery(callbackQueryId, '❌ Пользователь не найден', env);
-    return;
+async function authenticateRequest(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/);
+  if (!match) {
+    return null;
   }
 
-  // Format date for display (2025-12-11 -> 11.12.2025)
-  const [year, month, day] = date.split('-');
-  const displayDate = `${day}.${month}.${year}`;
-
-  await answerCallbackQuery(callbackQueryId, `✅ Выбрана дата: ${displayDate}`, env);
-
-  const helpText = `📅 Дата: <b>${displayDate}</b>
-
-🎙️ Отправьте голосовое сообщение или текст с информацией:
+  const payload = await verifyAuthToken(match[1], env);
+  if (!payload) {
+    return null;
+  }
 
-<b>Пример:</b>
-"Обходы 10:10, 12:25, 16:30. Садовники приехали 07:05, уехали 15:40"
+  // Role and site come from the current account, so blocking or a role change applies before the token expires
+  const access = await getCurrentWebAccess(payload.sub, env);
+  if (!access || !ROLE_LEVELS[access.role]) {
+    return null;
+  }
 
-<b>Как это работает:</b>
-• Назовите только ВРЕМЯ НАЧАЛА обходов (10:10)
-• Бот автоматически добавит +10 минут (10:10-10:20)
-• События указывайте со временем и описанием
+  return { sub: payload.sub, role: access.role, site: access.site || null };
+}
 
-Готово? Отправляй!`;
+/**
+ * Current { role, site } of token subject: "tg:<id>" - active bot user, otherwise web_users login
+ * null - account deleted, blocked or not approved
+ */
+async function getCurrentWebAccess(subject, env) {
+  const telegramId = typeof subject === 'string' && subject.match(/^tg:(\d+)$/)?.[1];
+  if (telegramId) {
+    const user = await env.DB.prepare(
+      'SELECT status, site_id FROM users WHERE telegram_id = ?'
+    ).bind(Number(telegramId)).first();
+    if (!user || user.status !== 'active') {
+      return null;
+    }
+    return getTelegramWebAccess(Number(telegramId), user.site_id, env);
+  }
 
-  await sendTelegramMessageWithMenu(chatId, helpText, env);
+  return env.DB.prepare(
+    'SELECT role, site_id AS site FROM web_users WHERE username = ?'
+  ).bind(subject).first();
 }
 
 /**
- * Show edit options (rounds/events/all)
+ * Check that authenticated user has at least the given role
  */
-async function showEditOptions(telegramId, chatId, date, callbackQueryId, env) {
-  // Get entry
-  const entry = await env.DB.prepare(
-    'SELECT rounds, events FROM journal WHERE telegram_id = ? AND date = ?'
-  ).bind(telegramId, date).first();
+function hasRole(auth, role) {
+  return (ROLE_LEVELS[auth?.role] || 0) >= ROLE_LEVELS[role];
+}
 
-  if (!entry) {
-    await answerCallbackQuery(callbackQueryId, '❌ Запись не найдена', env);
-    return;
-  }
+/**
+ * Check role of user not bound to a site (sites and migrations are shared by all sites)
+ */
+function hasGlobalRole(auth, role) {
+  return hasRole(auth, role) && !auth.site;
+}
 
-  const rounds = JSON.parse(entry.rounds || '[]');
-  const events = JSON.parse(entry.events || '[]');
+/**
+ * Check that authenticated user can see data of site
+ */
+function hasSiteAccess(auth, siteId) {
+  return !auth.site || auth.site === siteId;
+}
 
-  let message_text = `✏️ Редактирование записи за ${date}\n\n`;
-  message_text += `📝 Текущие данные:\n\n`;
-  message_text += `🚶 Интервалы обходов:\n`;
-  if (rounds.length > 0) {
-    rounds.forEach(interval => message_text += `  • ${interval}\n`);
-  } else {
-    message_text += 'нет\n';
+/**
+ * Site of API request from ?site= and token: { siteId, error, status }
+ * siteId null - all sites; site-bound tokens get their site, another ?site= is forbidden
+ */
+function getRequestSite(auth, params) {
+  const requested = params.get('site');
+  if (requested && !/^\d+$/.test(requested)) {
+    return { siteId: null, error: 'Query parameter "site" must be an integer', status: 400 };
   }
-  message_text += `\n📋 События:\n`;
-  if (events.length > 0) {
-    events.forEach(e => message_text += `  • ${e.time} - ${e.description}\n`);
-  } else {
-    message_text += 'нет\n';
+  if (requested && !hasSiteAccess(auth, Number(requested))) {
+    return { siteId: null, error: 'Forbidden', status: 403 };
   }
-  message_text += `\nВыберите что изменить:`;
-
-  const buttons = [
-    [{ text: '🚶 Обходы', callback_data: `edit_rounds_${date}` }],
-    [{ text: '📋 События', callback_data: `edit_events_${date}` }]
-  ];
-
-  await answerCallbackQuery(callbackQueryId, '', env);
-  await sendTelegramMessageWithButtons(chatId, message_text, buttons, env);
+  return { siteId: auth.site || (requested ? Number(requested) : null), error: null, status: 200 };
 }
 
 /**
- * Start editing rounds
+ * Build 403 response
  */
-async function startEditRounds(telegramId, chatId, date, callbackQueryId, env) {
-  console.log('startEditRounds:', { telegramId, date });
+function forbiddenResponse(corsHeaders) {
+  return jsonResponse({ error: 'Forbidden' }, corsHeaders, 403);
+}
 
-  const entry = await env.DB.prepare(
-    'SELECT rounds FROM journal WHERE telegram_id = ? AND date = ?'
-  ).bind(telegramId, date).first();
+/**
+ * Sign token payload: base64url(payload).base64url(HMAC-SHA256)
+ */
+async function signAuthToken(payload, env) {
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await getAuthKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return `${body}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
 
-  console.log('Entry found:', entry);
+/**
+ * Verify token signature and expiry, returns payload or null
+ */
+async function verifyAuthToken(token, env) {
+  const [body, signature, ...rest] = token.split('.');
+  if (!body || !signature || rest.length > 0) {
+    return null;
+  }
 
-  if (!entry) {
-    await answerCallbackQuery(callbackQueryId, `❌ Запись не найдена (${date})`, env);
-    await sendTelegramMessage(
-      chatId,
-      `❌ Debug: Не найдена запись для telegram_id=${telegramId}, date=${date}`,
-      env
+  try {
+    const key = await getAuthKey(env);
+    const isValid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(body)
     );
-    return;
-  }
+    if (!isValid) {
+      return null;
+    }
 
-  const rounds = JSON.parse(entry.rounds || '[]');
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+      return null;
+    }
 
-  let message_text = `✏️ Редактирование интервалов обходов за ${date}\n\n`;
-  message_text += `Текущие интервалы:\n`;
-  if (rounds.length > 0) {
-    rounds.forEach(interval => message_text += `  • ${interval}\n`);
-  } else {
-    message_text += 'нет\n';
+    return payload;
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
   }
-  message_text += `\nОтправьте ТОЛЬКО ВРЕМЯ НАЧАЛА обходов в формате:\n`;
-  message_text += `rounds: 09:10, 12:15, 16:30\n\n`;
-  message_text += `Бот автоматически добавит +10 минут для каждого обхода.`;
-
-  await answerCallbackQuery(callbackQueryId, '✏️ Отправьте новые времена обходов', env);
-  await sendTelegramMessage(chatId, message_text, env);
 }
 
 /**
- * Start editing events
+ * Import HMAC key from AUTH_SECRET
  */
-async function startEditEvents(telegramId, chatId, date, callbackQueryId, env) {
-  console.log('startEditEvents:', { telegramId, date });
-
-  const entry = await env.DB.prepare(
-    'SELECT events FROM journal WHERE telegram_id = ? AND date = ?'
-  ).bind(telegramId, date).first();
-
-  console.log('Entry found:', entry);
-
-  if (!entry) {
-    await answerCallbackQuery(callbackQueryId, `❌ Запись не найдена (${date})`, env);
-    await sendTelegramMessage(
-      chatId,
-      `❌ Debug: Не найдена запись для telegram_id=${telegramId}, date=${date}`,
-      env
-    );
-    return;
+async function getAuthKey(env) {
+  if (!env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET is not configured');
   }
 
-  const events = JSON.parse(entry.events || '[]');
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.AUTH_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
 
-  let message_text = `✏️ Редактирование событий за ${date}\n\n`;
-  message_text += `Текущие события:\n`;
-  if (events.length > 0) {
-    events.forEach(e => message_text += `  • ${e.time} - ${e.description}\n`);
-  } else {
-    message_text += 'нет\n';
+/**
+ * Verify password against stored hash "pbkdf2$<iterations>$<salt base64>$<hash base64>"
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, iterations, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'pbkdf2' || !iterations || !salt || !hash) {
+    return false;
   }
-  message_text += `\nОтправьте новые события в формате:\n`;
-  message_text += `events: Садовники 07:05, Ролеты 20:00`;
 
-  await answerCallbackQuery(callbackQueryId, '✏️ Отправьте новые события', env);
-  await sendTelegramMessage(chatId, message_text, env);
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const expected = base64ToBytes(hash);
+  const derived = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt: base64ToBytes(salt),
+      iterations: Number(iterations)
+    },
+    key,
+    expected.length * 8
+  );
+
+  return timingSafeEqual(new Uint8Array(derived), expected);
 }
 
 /**
- * Format confirmation message
+ * Compare byte arrays in constant time
  */
-function formatConfirmation(surname, date, data) {
-  let message = `✅ Запись добавлена:\n\n`;
-  message += `👤 ${surname}\n`;
-  message += `📅 ${date}\n\n`;
-
-  if (data.rounds && data.rounds.length > 0) {
-    message += `🚶 Интервалы обходов:\n`;
-    data.rounds.forEach(interval => {
-      message += `  • ${interval}\n`;
-    });
-    message += '\n';
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
   }
-
-  if (data.events && data.events.length > 0) {
-    message += `📝 События:\n`;
-    data.events.forEach(event => {
-      message += `  • ${event.time} - ${event.description}\n`;
-    });
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
   }
+  return diff === 0;
+}
 
-  return message;
+/**
+ * Encode bytes as base64url (no padding)
+ */
+function base64UrlEncode(bytes) {
+  return arrayBufferToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
 /**
- * Get journal entries (API endpoint)
+ * Decode base64url string to bytes
  */
-async function handleGetJournal(env, corsHeaders) {
-  try {
-    const { results } = await env.DB.prepare(`
-      SELECT telegram_id, surname, date, items, rounds, events, created_at
-      FROM journal
-      ORDER BY date DESC, created_at DESC
-      LIMIT 100
-    `).all();
-
-    const entries = results.map(row => ({
-      surname: row.surname,
-      date: row.date,
-      items: row.items || '{"pults":true,"tablet":true,"keys":true,"phone":true,"ts_button":true}',
-      rounds: JSON.parse(row.rounds || '[]'),
-      events: JSON.parse(row.events || '[]'),
-      created_at: row.created_at
-    }));
-
-    return new Response(JSON.stringify(entries), {
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json'
-      }
-    });
-  } catch (error) {
-    return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json'
-      }
-    });
+function base64UrlDecode(str) {
+  return base64ToBytes(str.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+/**
+ * Decode base64 string to bytes
+ */
+function base64ToBytes(str) {
+  const padded = str + '='.repeat((4 - str.length % 4) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
   }
+  return bytes;
 }
 
 /**